@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DROP_ID_PATTERN = /^[0-9a-f]{32}$/;
+const UPLOAD_WINDOW = 60 * 60 * 1000;
+
+function createDropStore(directory, chunkSize) {
+    const dropsDir = path.join(directory, 'drops');
+    const keysDir = path.join(directory, 'keys');
+    const ready = Promise.all([dropsDir, keysDir].map(dir => fs.promises.mkdir(dir, { recursive: true })));
+    const readers = new Map();
+    let queue = Promise.resolve();
+
+    const serialize = (task) => {
+        const result = queue.then(() => ready).then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const metaPath = (id) => path.join(dropsDir, `${id}.json`);
+    const dataPath = (id) => path.join(dropsDir, `${id}.bin`);
+    const keyPath = (userId) => path.join(keysDir, `${userId}.json`);
+
+    const readDrop = async (id) => {
+        if (typeof id !== 'string' || !DROP_ID_PATTERN.test(id)) {
+            return null;
+        }
+
+        const drop = await readJson(metaPath(id));
+        return drop && isLive(drop, Date.now()) ? drop : null;
+    };
+
+    const removeDrop = (id) => Promise.all([metaPath(id), dataPath(id)].map(removeFile));
+
+    const readerCount = (id) => readers.get(id) || 0;
+
+    const releaseReader = (id) => {
+        const count = readerCount(id) - 1;
+        if (count > 0) {
+            readers.set(id, count);
+        } else {
+            readers.delete(id);
+        }
+    };
+
+    return {
+        async publishKey(userId, record) {
+            await ready;
+            await writeJson(keyPath(userId), record);
+        },
+
+        async getKey(userId) {
+            await ready;
+            return readJson(keyPath(userId));
+        },
+
+        create(fields) {
+            return serialize(async () => {
+                const drop = {
+                    ...fields,
+                    id: crypto.randomBytes(16).toString('hex'),
+                    downloads: 0,
+                    complete: false,
+                    createdAt: Date.now()
+                };
+
+                await fs.promises.writeFile(dataPath(drop.id), Buffer.alloc(0));
+                await writeJson(metaPath(drop.id), drop);
+                return drop;
+            });
+        },
+
+        async get(id) {
+            await ready;
+            return readDrop(id);
+        },
+
+        async list() {
+            await ready;
+            const names = await fs.promises.readdir(dropsDir);
+            const drops = await Promise.all(names
+                .filter(name => name.endsWith('.json'))
+                .map(name => readDrop(name.slice(0, -'.json'.length))));
+            return drops.filter(Boolean);
+        },
+
+        append(id, index, data) {
+            return serialize(async () => {
+                const drop = await readDrop(id);
+                if (!drop || drop.complete) {
+                    return null;
+                }
+
+                const offset = index * chunkSize;
+                const { size } = await fs.promises.stat(dataPath(id));
+                if (size !== offset || data.length !== Math.min(chunkSize, drop.size - offset)) {
+                    return null;
+                }
+
+                await fs.promises.appendFile(dataPath(id), data);
+                if (offset + data.length === drop.size) {
+                    drop.complete = true;
+                    await writeJson(metaPath(id), drop);
+                }
+                return drop;
+            });
+        },
+
+        open(id) {
+            return serialize(async () => {
+                const drop = await readDrop(id);
+                if (!drop || !drop.complete || drop.downloads + readerCount(id) >= drop.maxDownloads) {
+                    return null;
+                }
+
+                readers.set(id, readerCount(id) + 1);
+                return drop;
+            });
+        },
+
+        release(id) {
+            return serialize(async () => releaseReader(id));
+        },
+
+        finish(id) {
+            return serialize(async () => {
+                releaseReader(id);
+                const drop = await readDrop(id);
+                if (!drop) {
+                    return null;
+                }
+
+                drop.downloads++;
+                if (drop.downloads >= drop.maxDownloads && readerCount(id) === 0) {
+                    await removeDrop(id);
+                } else {
+                    await writeJson(metaPath(id), drop);
+                }
+                return drop;
+            });
+        },
+
+        async readChunk(drop, index) {
+            const offset = index * chunkSize;
+            const length = Math.min(chunkSize, drop.size - offset);
+            const handle = await fs.promises.open(dataPath(drop.id), 'r');
+
+            try {
+                const data = Buffer.alloc(length);
+                await handle.read(data, 0, length, offset);
+                return data;
+            } finally {
+                await handle.close();
+            }
+        },
+
+        remove(id) {
+            return serialize(() => {
+                readers.delete(id);
+                return removeDrop(id);
+            });
+        },
+
+        purge() {
+            return serialize(async () => {
+                const now = Date.now();
+                const names = await fs.promises.readdir(dropsDir);
+                let removed = 0;
+
+                for (const name of names.filter(entry => entry.endsWith('.json'))) {
+                    const id = name.slice(0, -'.json'.length);
+                    const drop = await readJson(metaPath(id)).catch(() => null);
+                    if (!drop || !isLive(drop, now)) {
+                        await removeDrop(id);
+                        removed++;
+                    }
+                }
+
+                return removed;
+            });
+        }
+    };
+}
+
+function isLive(drop, now) {
+    if (now >= drop.expiresAt) {
+        return false;
+    }
+    if (!drop.complete && now - drop.createdAt > UPLOAD_WINDOW) {
+        return false;
+    }
+    return drop.downloads < drop.maxDownloads;
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function writeJson(file, value) {
+    const temporary = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(value));
+    await fs.promises.rename(temporary, file);
+}
+
+async function removeFile(file) {
+    try {
+        await fs.promises.unlink(file);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+}
+
+module.exports = { createDropStore };
@@ -0,0 +1,167 @@
+const REDIS_KEY_PREFIX = 'sovereignshare:';
+const ONLINE_KEY = `${REDIS_KEY_PREFIX}online`;
+
+function createMemoryRegistry() {
+    const users = new Map();
+    const sockets = new Map();
+
+    return {
+        async register(uniqueId, socketId) {
+            const previous = users.get(uniqueId);
+            if (previous && previous.socketId !== socketId) {
+                sockets.delete(previous.socketId);
+            }
+
+            users.set(uniqueId, { socketId, connectedAt: new Date().toISOString() });
+            sockets.set(socketId, uniqueId);
+            return previous ? previous.socketId : null;
+        },
+
+        async unregister(socketId) {
+            const uniqueId = sockets.get(socketId);
+            if (!uniqueId) {
+                return null;
+            }
+
+            sockets.delete(socketId);
+            const entry = users.get(uniqueId);
+            if (!entry || entry.socketId !== socketId) {
+                return null;
+            }
+
+            users.delete(uniqueId);
+            return uniqueId;
+        },
+
+        async getSocketId(uniqueId) {
+            const entry = users.get(uniqueId);
+            return entry ? entry.socketId : null;
+        },
+
+        async getUniqueId(socketId) {
+            return sockets.get(socketId) || null;
+        },
+
+        async listUsers() {
+            return Array.from(users, ([uniqueId, entry]) => ({ uniqueId, ...entry }));
+        },
+
+        async count() {
+            return users.size;
+        },
+
+        async close() {}
+    };
+}
+
+function createRedisRegistry(client) {
+    const transactions = client.duplicate();
+    let queue = Promise.resolve();
+
+    const serialize = (task) => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const watchAndExec = async (key, build) => {
+        for (;;) {
+            await transactions.watch(key);
+            const { multi, result } = await build();
+            if (await multi.exec()) {
+                return result;
+            }
+        }
+    };
+
+    return {
+        register(uniqueId, socketId) {
+            return serialize(() => watchAndExec(userKey(uniqueId), async () => {
+                const previous = parseEntry(await transactions.get(userKey(uniqueId)));
+                const multi = transactions.multi()
+                    .set(userKey(uniqueId), JSON.stringify({ socketId, connectedAt: new Date().toISOString() }))
+                    .set(socketKey(socketId), uniqueId)
+                    .sadd(ONLINE_KEY, uniqueId);
+
+                if (previous && previous.socketId !== socketId) {
+                    multi.del(socketKey(previous.socketId));
+                }
+
+                return { multi, result: previous ? previous.socketId : null };
+            }));
+        },
+
+        unregister(socketId) {
+            return serialize(async () => {
+                const uniqueId = await transactions.get(socketKey(socketId));
+                if (!uniqueId) {
+                    return null;
+                }
+
+                return watchAndExec(userKey(uniqueId), async () => {
+                    const entry = parseEntry(await transactions.get(userKey(uniqueId)));
+                    const current = Boolean(entry) && entry.socketId === socketId;
+                    const multi = transactions.multi().del(socketKey(socketId));
+
+                    if (current) {
+                        multi.del(userKey(uniqueId)).srem(ONLINE_KEY, uniqueId);
+                    }
+
+                    return { multi, result: current ? uniqueId : null };
+                });
+            });
+        },
+
+        async getSocketId(uniqueId) {
+            const entry = parseEntry(await client.get(userKey(uniqueId)));
+            return entry ? entry.socketId : null;
+        },
+
+        async getUniqueId(socketId) {
+            return (await client.get(socketKey(socketId))) || null;
+        },
+
+        async listUsers() {
+            const uniqueIds = await client.smembers(ONLINE_KEY);
+            if (uniqueIds.length === 0) {
+                return [];
+            }
+
+            const entries = await client.mget(uniqueIds.map(userKey));
+            return uniqueIds
+                .map((uniqueId, index) => ({ uniqueId, entry: parseEntry(entries[index]) }))
+                .filter(({ entry }) => entry)
+                .map(({ uniqueId, entry }) => ({ uniqueId, ...entry }));
+        },
+
+        count() {
+            return client.scard(ONLINE_KEY);
+        },
+
+        async close() {
+            await transactions.quit();
+        }
+    };
+}
+
+function userKey(uniqueId) {
+    return `${REDIS_KEY_PREFIX}user:${uniqueId}`;
+}
+
+function socketKey(socketId) {
+    return `${REDIS_KEY_PREFIX}socket:${socketId}`;
+}
+
+function parseEntry(value) {
+    if (!value) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { createMemoryRegistry, createRedisRegistry };
@@ -1,8 +1,83 @@
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const Redis = require('ioredis');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { createMemoryRegistry, createRedisRegistry } = require('./registry');
+const { createDropStore } = require('./dropbox');
+
+const USER_ID_LENGTH = 10;
+const USER_ID_PATTERN = /^[A-Z2-7]{10}$/;
+const USER_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const IDENTITY_CHALLENGE_CONTEXT = 'sovereignshare-auth';
+const CHALLENGE_SIZE = 32;
+
+const SIGNALING_VERSION = 1;
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_CANDIDATE_LENGTH = 2048;
+const MAX_REASON_LENGTH = 200;
+
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{4,32}$/;
+const ROOM_PREFIX = 'room:';
+const MAX_ROOM_SIZE = 8;
+
+const RELAY_PREFIX = 'relay:';
+const DEFAULT_RELAY_BANDWIDTH = 256 * 1024;
+const MAX_RELAY_BACKLOG = 1024 * 1024;
+
+const DROP_KEY_CONTEXT = 'sovereignshare-drop-key';
+const DROP_CHUNK_SIZE = 64 * 1024 + 16;
+const DEFAULT_DROP_MAX_SIZE = 100 * 1024 * 1024;
+const DEFAULT_DROP_MAX_TTL = 7 * 24 * 60 * 60;
+const DEFAULT_DROP_MAX_TOTAL = 1024 * 1024 * 1024;
+const MIN_DROP_TTL = 60;
+const MAX_DROP_DOWNLOADS = 10;
+const MAX_DROPS_PER_SENDER = 20;
+const MAX_DROP_HEADER_SIZE = 4096;
+const MAX_DROP_SIGNATURE_SIZE = 256;
+
+const PRESENCE_PREFIX = 'presence:';
+const MAX_PRESENCE_SUBSCRIPTIONS = 200;
+
+const DEFAULT_STUN_URLS = ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'];
+const DEFAULT_TURN_TTL = 3600;
+const ICE_TRANSPORT_POLICIES = ['all', 'relay'];
+const DEFAULT_RECONNECT_ATTEMPTS = 3;
+const DEFAULT_RECONNECT_GRACE_PERIOD = 5000;
+
+const MAX_PAYLOAD_SIZE = 128 * 1024;
+const MAX_SIGNAL_SIZE = MAX_SDP_LENGTH + 4 * 1024;
+const MAX_ROOM_MESSAGE_SIZE = 16 * 1024;
+const RATE_LIMITS = {
+    details: { capacity: 5, refillPerSecond: 0.2 },
+    authenticate: { capacity: 5, refillPerSecond: 0.2 },
+    'send-signal': { capacity: 300, refillPerSecond: 30 },
+    joinRoom: { capacity: 10, refillPerSecond: 0.5 },
+    leaveRoom: { capacity: 10, refillPerSecond: 0.5 },
+    roomMessage: { capacity: 20, refillPerSecond: 2 },
+    relayJoin: { capacity: 5, refillPerSecond: 0.2 },
+    relayLeave: { capacity: 10, refillPerSecond: 0.5 },
+    relayData: { capacity: 1000, refillPerSecond: 1000 },
+    publishDropKey: { capacity: 5, refillPerSecond: 0.1 },
+    getDropKey: { capacity: 10, refillPerSecond: 0.5 },
+    createDrop: { capacity: 10, refillPerSecond: 0.2 },
+    dropChunk: { capacity: 200, refillPerSecond: 100 },
+    listDrops: { capacity: 10, refillPerSecond: 0.5 },
+    openDrop: { capacity: 10, refillPerSecond: 0.5 },
+    readDrop: { capacity: 200, refillPerSecond: 100 },
+    deleteDrop: { capacity: 20, refillPerSecond: 1 },
+    subscribePresence: { capacity: 10, refillPerSecond: 0.5 },
+    checkUser: { capacity: 10, refillPerSecond: 0.2 },
+    getIceConfig: { capacity: 20, refillPerSecond: 0.5 },
+    ping: { capacity: 10, refillPerSecond: 1 },
+    default: { capacity: 20, refillPerSecond: 1 }
+};
+const IP_RATE_LIMIT_FACTOR = 10;
+const RATE_LIMIT_IDLE_TIME = 10 * 60 * 1000;
 
 const app = express();
 const server = http.createServer(app);
@@ -21,40 +96,65 @@ const io = new Server(server, {
         methods: ['GET', 'POST']
     },
     transports: ['websocket', 'polling'],
-    allowEIO3: true
+    allowEIO3: true,
+    maxHttpBufferSize: MAX_PAYLOAD_SIZE
 });
 
-const userRegistry = new Map();
-const idRegistry = new Map();
-const connectionTimes = new Map();
+const redisClients = [];
+const registry = process.env.REDIS_URL ? connectRedis(process.env.REDIS_URL) : createMemoryRegistry();
+const pendingChallenges = new Map();
+const ipRateLimits = new Map();
+const iceConfig = loadIceConfig();
+const dropboxConfig = loadDropboxConfig();
+const dropStore = dropboxConfig ? createDropStore(dropboxConfig.directory, DROP_CHUNK_SIZE) : null;
+const adminToken = process.env.ADMIN_TOKEN || null;
+const trustProxy = process.env.TRUST_PROXY === 'true';
+const maintenanceTimers = [];
 
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend/index.html'));
 });
 
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        timestamp: new Date().toISOString(),
-        activeConnections: io.engine.clientsCount,
-        registeredUsers: userRegistry.size,
-        uptime: process.uptime()
-    });
+app.get('/api/health', async (req, res) => {
+    try {
+        res.json({ 
+            status: 'healthy', 
+            timestamp: new Date().toISOString(),
+            activeConnections: io.engine.clientsCount,
+            registeredUsers: await registry.count(),
+            uptime: process.uptime()
+        });
+    } catch (error) {
+        console.error('Error reading registry:', error);
+        res.status(503).json({ status: 'unhealthy', timestamp: new Date().toISOString() });
+    }
 });
 
-app.get('/api/stats', (req, res) => {
-    const users = Array.from(userRegistry.entries()).map(([socketId, uniqueId]) => ({
-        uniqueId,
-        socketId,
-        connectedAt: connectionTimes.get(uniqueId)
-    }));
+app.get('/api/stats', async (req, res) => {
+    if (!adminToken) {
+        res.status(404).json({ error: 'Not found' });
+        return;
+    }
     
-    res.json({
-        totalConnections: io.engine.clientsCount,
-        registeredUsers: userRegistry.size,
-        users: users,
-        serverStartTime: process.env.SERVER_START_TIME || 'Unknown'
-    });
+    if (!isAdminRequest(req)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        res.status(401).json({ error: 'Unauthorized' });
+        return;
+    }
+    
+    try {
+        const users = await registry.listUsers();
+        
+        res.json({
+            totalConnections: io.engine.clientsCount,
+            registeredUsers: users.length,
+            users: users,
+            serverStartTime: process.env.SERVER_START_TIME || 'Unknown'
+        });
+    } catch (error) {
+        console.error('Error reading registry:', error);
+        res.status(500).json({ error: 'Failed to read stats' });
+    }
 });
 
 process.env.SERVER_START_TIME = new Date().toISOString();
@@ -62,29 +162,54 @@ process.env.SERVER_START_TIME = new Date().toISOString();
 io.on('connection', (socket) => {
     console.log(`New client connected: ${socket.id}`);
     
+    const clientIp = getClientIp(socket);
+    socket.data.rateLimits = new Map();
+    socket.data.throttled = new Set();
+    socket.data.openDrops = new Map();
+    
+    socket.use((packet, next) => {
+        const event = packet[0];
+        const ack = packet[packet.length - 1];
+        
+        if (consumeRateLimit(socket, clientIp, event)) {
+            socket.data.throttled.delete(event);
+            next();
+            return;
+        }
+        
+        if (typeof ack === 'function') {
+            ack({ error: 'rate limited' });
+        } else if (!socket.data.throttled.has(event)) {
+            socket.data.throttled.add(event);
+            socket.emit('error', { message: 'Too many requests, please slow down', event: event });
+        }
+    });
+    
     socket.on('details', (data) => {
         try {
-            const { uniqueId } = data;
+            const { uniqueId, publicKey } = data || {};
             
-            if (!uniqueId || typeof uniqueId !== 'string') {
+            if (!uniqueId || typeof uniqueId !== 'string' || !publicKey || typeof publicKey !== 'string') {
                 socket.emit('error', { message: 'Invalid user ID format' });
                 return;
             }
             
-            if (idRegistry.has(uniqueId)) {
-                const existingSocketId = idRegistry.get(uniqueId);
-                userRegistry.delete(existingSocketId);
-                const existingSocket = io.sockets.sockets.get(existingSocketId);
-                if (existingSocket) {
-                    existingSocket.emit('error', { message: 'Connection replaced by new session' });
-                }
+            let keyObject;
+            try {
+                keyObject = parseIdentityKey(publicKey);
+            } catch (error) {
+                socket.emit('error', { message: 'Invalid identity key' });
+                return;
             }
             
-            userRegistry.set(socket.id, uniqueId);
-            idRegistry.set(uniqueId, socket.id);
-            connectionTimes.set(uniqueId, new Date().toISOString());
+            if (deriveUserId(keyObject) !== uniqueId) {
+                socket.emit('error', { message: 'User ID does not match identity key' });
+                return;
+            }
             
-            socket.emit('registered', { uniqueId, socketId: socket.id });
+            const nonce = crypto.randomBytes(CHALLENGE_SIZE).toString('base64');
+            pendingChallenges.set(socket.id, { uniqueId, publicKey, keyObject, nonce });
+            socket.emit('challenge', { nonce });
             
         } catch (error) {
             console.error(`Error handling user registration:`, error);
@@ -92,99 +217,101 @@ io.on('connection', (socket) => {
         }
     });
     
-    socket.on('send-signal', (data) => {
+    socket.on('authenticate', async (data) => {
         try {
-            const { from, to, signalData } = data;
+            const challenge = pendingChallenges.get(socket.id);
+            pendingChallenges.delete(socket.id);
             
-            if (!from || !to || !signalData) {
-                socket.emit('error', { message: 'Invalid signal data format' });
+            if (!challenge || !data || typeof data.signature !== 'string') {
+                socket.emit('error', { message: 'No registration in progress' });
                 return;
             }
             
-            const senderUniqueId = userRegistry.get(socket.id);
-            if (senderUniqueId !== from) {
+            const { uniqueId, publicKey, keyObject, nonce } = challenge;
+            const valid = crypto.verify(
+                'sha256',
+                Buffer.from(`${IDENTITY_CHALLENGE_CONTEXT}:${uniqueId}:${nonce}`),
+                { key: keyObject, dsaEncoding: 'ieee-p1363' },
+                Buffer.from(data.signature, 'base64')
+            );
+            
+            if (!valid) {
                 socket.emit('error', { message: 'Identity verification failed' });
                 return;
             }
             
-            const targetSocketId = idRegistry.get(to);
+            const previousSocketId = await registry.register(uniqueId, socket.id);
+            socket.data.uniqueId = uniqueId;
+            socket.data.publicKey = publicKey;
             
-            if (targetSocketId) {
-                socket.to(targetSocketId).emit('signaling', {
-                    from: from,
-                    signalData: signalData,
-                    to: to,
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                socket.emit('error', { 
-                    message: 'Target user not found or offline',
-                    targetId: to 
-                });
+            if (previousSocketId && previousSocketId !== socket.id) {
+                const [existingSocket] = await io.in(previousSocketId).fetchSockets();
+                if (existingSocket) {
+                    leaveRooms(existingSocket, uniqueId);
+                    leaveRelays(existingSocket, uniqueId);
+                    existingSocket.emit('error', { message: 'Connection replaced by new session' });
+                }
+            }
+            
+            socket.emit('registered', {
+                uniqueId: uniqueId,
+                socketId: socket.id,
+                dropbox: dropboxConfig ? {
+                    maxSize: dropboxConfig.maxSize,
+                    maxTtl: dropboxConfig.maxTtl,
+                    maxDownloads: MAX_DROP_DOWNLOADS
+                } : null
+            });
+            if (!previousSocketId) {
+                publishPresence(uniqueId, true);
             }
             
         } catch (error) {
-            console.error(`Error handling send-signal:`, error);
-            socket.emit('error', { message: 'Signal processing failed' });
+            console.error(`Error handling authentication:`, error);
+            socket.emit('error', { message: 'Registration failed' });
         }
     });
     
-    socket.on('accept-signal', (data) => {
+    let signalQueue = Promise.resolve();
+    socket.on('send-signal', (message) => {
+        signalQueue = signalQueue.then(() => relaySignal(socket, message));
+    });
+    
+    socket.on('joinRoom', async (roomId) => {
         try {
-            const { to, signalData } = data;
-            
-            if (!to || !signalData) {
-                socket.emit('error', { message: 'Invalid accept signal data format' });
+            const uniqueId = await registry.getUniqueId(socket.id);
+            if (!uniqueId) {
+                socket.emit('error', { message: 'Register before joining a room' });
                 return;
             }
             
-            const targetSocketId = idRegistry.get(to);
-            
-            if (targetSocketId) {
-                socket.to(targetSocketId).emit('callAccepted', {
-                    signalData: signalData,
-                    to: to,
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                socket.emit('error', { 
-                    message: 'Target user not found for accept signal',
-                    targetId: to 
-                });
+            if (typeof roomId !== 'string' || !ROOM_ID_PATTERN.test(roomId)) {
+                socket.emit('error', { message: 'Invalid room ID' });
+                return;
             }
             
-        } catch (error) {
-            console.error(`Error handling accept-signal:`, error);
-            socket.emit('error', { message: 'Accept signal processing failed' });
-        }
-    });
-    
-    socket.on('reject-signal', (data) => {
-        try {
-            const { to } = data;
-            const targetSocketId = idRegistry.get(to);
-            
-            if (targetSocketId) {
-                socket.to(targetSocketId).emit('callRejected', {
-                    from: userRegistry.get(socket.id),
-                    timestamp: new Date().toISOString()
-                });
+            if (socket.rooms.has(roomKey(roomId))) {
+                const members = await getRoomMembers(roomId);
+                socket.emit('roomJoined', { roomId, members: members.filter(id => id !== uniqueId), timestamp: new Date().toISOString() });
+                return;
             }
-        } catch (error) {
-            console.error(`Error handling reject-signal:`, error);
-        }
-    });
-    
-    socket.on('joinRoom', (roomId) => {
-        try {
-            if (!roomId || typeof roomId !== 'string') {
-                socket.emit('error', { message: 'Invalid room ID' });
+            
+            const members = await getRoomMembers(roomId);
+            if (members.length >= MAX_ROOM_SIZE) {
+                socket.emit('error', { message: `Room is full (${MAX_ROOM_SIZE} members maximum)` });
                 return;
             }
             
-            socket.join(roomId);
+            leaveRooms(socket, uniqueId);
+            socket.join(roomKey(roomId));
             socket.emit('roomJoined', { 
                 roomId: roomId,
+                members: members,
+                timestamp: new Date().toISOString()
+            });
+            socket.to(roomKey(roomId)).emit('roomMemberJoined', {
+                roomId: roomId,
+                memberId: uniqueId,
                 timestamp: new Date().toISOString()
             });
             
@@ -196,24 +323,38 @@ io.on('connection', (socket) => {
     
     socket.on('leaveRoom', (roomId) => {
         try {
-            socket.leave(roomId);
+            if (typeof roomId !== 'string' || !socket.rooms.has(roomKey(roomId))) {
+                return;
+            }
+            
+            leaveRoom(socket, roomId, socket.data.uniqueId);
             socket.emit('roomLeft', { roomId: roomId });
         } catch (error) {
             console.error(`Error handling leaveRoom:`, error);
         }
     });
     
-    socket.on('roomMessage', (data) => {
+    socket.on('roomMessage', async (data) => {
         try {
-            const { roomId, message } = data;
+            const { roomId, message } = data || {};
             
-            if (!roomId || !message) {
+            if (typeof roomId !== 'string' || !message) {
                 socket.emit('error', { message: 'Invalid room message data' });
                 return;
             }
             
-            socket.to(roomId).emit('roomMessage', {
-                from: userRegistry.get(socket.id) || socket.id,
+            if (payloadSize(message) > MAX_ROOM_MESSAGE_SIZE) {
+                socket.emit('error', { message: 'Room message is too large' });
+                return;
+            }
+            
+            if (!socket.rooms.has(roomKey(roomId))) {
+                socket.emit('error', { message: 'Join the room before sending to it' });
+                return;
+            }
+            
+            socket.to(roomKey(roomId)).emit('roomMessage', {
+                from: (await registry.getUniqueId(socket.id)) || socket.id,
                 message: message,
                 timestamp: new Date().toISOString()
             });
@@ -223,13 +364,352 @@ io.on('connection', (socket) => {
         }
     });
     
+    socket.on('relayJoin', async (peerId) => {
+        try {
+            const uniqueId = await registry.getUniqueId(socket.id);
+            if (!uniqueId) {
+                socket.emit('error', { message: 'Register before opening a relay' });
+                return;
+            }
+            
+            if (iceConfig.relayBandwidth === 0) {
+                socket.emit('error', { message: 'Relaying is disabled on this server' });
+                return;
+            }
+            
+            if (typeof peerId !== 'string' || !USER_ID_PATTERN.test(peerId) || peerId === uniqueId) {
+                socket.emit('error', { message: 'Invalid relay peer' });
+                return;
+            }
+            
+            const key = relayKey(uniqueId, peerId);
+            Array.from(socket.rooms)
+                .filter(room => room.startsWith(RELAY_PREFIX) && room !== key)
+                .forEach(room => leaveRelay(socket, room, uniqueId));
+            
+            socket.join(key);
+            socket.data.relayBucket = { tokens: iceConfig.relayBandwidth, updatedAt: Date.now() };
+            
+            const members = await io.in(key).fetchSockets();
+            if (members.length >= 2) {
+                socket.emit('relayReady', { peerId, timestamp: new Date().toISOString() });
+                socket.to(key).emit('relayReady', { peerId: uniqueId, timestamp: new Date().toISOString() });
+                return;
+            }
+            
+            const targetSocketId = await registry.getSocketId(peerId);
+            if (!targetSocketId) {
+                socket.leave(key);
+                socket.emit('error', { message: 'Target user not found or offline', targetId: peerId });
+                return;
+            }
+            
+            socket.to(targetSocketId).emit('relayRequest', { from: uniqueId, timestamp: new Date().toISOString() });
+        } catch (error) {
+            console.error(`Error handling relayJoin:`, error);
+            socket.emit('error', { message: 'Failed to open relay' });
+        }
+    });
+    
+    socket.on('relayData', (payload, ack) => {
+        try {
+            const { to, data } = isPlainObject(payload) ? payload : {};
+            const uniqueId = socket.data.uniqueId;
+            
+            if (typeof to !== 'string' || !uniqueId || (typeof data !== 'string' && !Buffer.isBuffer(data))) {
+                socket.emit('error', { message: 'Invalid relay data' });
+                return;
+            }
+            
+            const key = relayKey(uniqueId, to);
+            if (!socket.rooms.has(key)) {
+                socket.emit('error', { message: 'No relay open to this peer' });
+                return;
+            }
+            
+            const delay = chargeRelayBandwidth(socket, typeof data === 'string' ? Buffer.byteLength(data) : data.length);
+            if (delay === null) {
+                socket.emit('error', { message: 'Relay bandwidth exceeded' });
+                return;
+            }
+            
+            socket.to(key).emit('relayData', { from: uniqueId, data: data });
+            if (typeof ack === 'function') {
+                setTimeout(ack, delay);
+            }
+        } catch (error) {
+            console.error(`Error handling relayData:`, error);
+        }
+    });
+    
+    socket.on('relayLeave', () => {
+        try {
+            leaveRelays(socket, socket.data.uniqueId);
+        } catch (error) {
+            console.error(`Error handling relayLeave:`, error);
+        }
+    });
+    
+    onDropRequest(socket, 'publishDropKey', async (data, uniqueId) => {
+        const { publicKey, signature } = isPlainObject(data) ? data : {};
+        
+        if (typeof publicKey !== 'string' || typeof signature !== 'string' || signature.length > MAX_DROP_SIGNATURE_SIZE) {
+            return { error: 'Invalid drop box key' };
+        }
+        
+        try {
+            parseIdentityKey(publicKey);
+        } catch (error) {
+            return { error: 'Invalid drop box key' };
+        }
+        
+        const valid = crypto.verify(
+            'sha256',
+            Buffer.from(`${DROP_KEY_CONTEXT}:${uniqueId}:${publicKey}`),
+            { key: parseIdentityKey(socket.data.publicKey), dsaEncoding: 'ieee-p1363' },
+            Buffer.from(signature, 'base64')
+        );
+        
+        if (!valid) {
+            return { error: 'Drop box key signature is invalid' };
+        }
+        
+        await dropStore.publishKey(uniqueId, {
+            identityKey: socket.data.publicKey,
+            dropKey: publicKey,
+            signature: signature,
+            publishedAt: Date.now()
+        });
+    });
+    
+    onDropRequest(socket, 'getDropKey', async (userId) => {
+        if (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId)) {
+            return { error: 'Invalid user ID format' };
+        }
+        
+        const record = await dropStore.getKey(userId);
+        if (!record) {
+            return { error: 'This user has not set up a drop box yet' };
+        }
+        
+        return { identityKey: record.identityKey, dropKey: record.dropKey, signature: record.signature };
+    });
+    
+    onDropRequest(socket, 'createDrop', async (data, uniqueId) => {
+        const { to, size, expiresIn, maxDownloads, ephemeralKey, header, signature } = isPlainObject(data) ? data : {};
+        
+        if (typeof to !== 'string' || !USER_ID_PATTERN.test(to) || to === uniqueId) {
+            return { error: 'Invalid drop recipient' };
+        }
+        if (!Number.isInteger(size) || size <= 0 || size > dropboxConfig.maxSize) {
+            return { error: `Drops are limited to ${dropboxConfig.maxSize} bytes` };
+        }
+        if (!Number.isInteger(expiresIn) || expiresIn < MIN_DROP_TTL || expiresIn > dropboxConfig.maxTtl) {
+            return { error: `Drops must expire between ${MIN_DROP_TTL} and ${dropboxConfig.maxTtl} seconds` };
+        }
+        if (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > MAX_DROP_DOWNLOADS) {
+            return { error: `Drops allow between 1 and ${MAX_DROP_DOWNLOADS} downloads` };
+        }
+        if (typeof header !== 'string' || header.length > MAX_DROP_HEADER_SIZE ||
+            typeof signature !== 'string' || signature.length > MAX_DROP_SIGNATURE_SIZE || typeof ephemeralKey !== 'string') {
+            return { error: 'Invalid drop envelope' };
+        }
+        
+        try {
+            parseIdentityKey(ephemeralKey);
+        } catch (error) {
+            return { error: 'Invalid drop envelope' };
+        }
+        
+        if (!(await dropStore.getKey(to))) {
+            return { error: 'This user has not set up a drop box yet' };
+        }
+        
+        const drops = await dropStore.list();
+        if (drops.filter(drop => drop.from === uniqueId).length >= MAX_DROPS_PER_SENDER) {
+            return { error: `You already have ${MAX_DROPS_PER_SENDER} drops waiting to be collected` };
+        }
+        if (drops.reduce((total, drop) => total + drop.size, size) > dropboxConfig.maxTotal) {
+            return { error: 'The drop box is full, please try again later' };
+        }
+        
+        const drop = await dropStore.create({
+            from: uniqueId,
+            to: to,
+            size: size,
+            senderKey: socket.data.publicKey,
+            ephemeralKey: ephemeralKey,
+            header: header,
+            signature: signature,
+            maxDownloads: maxDownloads,
+            expiresAt: Date.now() + expiresIn * 1000
+        });
+        
+        return { drop: describeDrop(drop) };
+    });
+    
+    onDropRequest(socket, 'dropChunk', async (data, uniqueId) => {
+        const { id, index, data: chunk } = isPlainObject(data) ? data : {};
+        
+        if (!Number.isInteger(index) || index < 0 || !Buffer.isBuffer(chunk)) {
+            return { error: 'Invalid drop chunk' };
+        }
+        
+        const drop = await dropStore.get(id);
+        if (!drop || drop.from !== uniqueId) {
+            return { error: 'Drop not found' };
+        }
+        
+        const updated = await dropStore.append(id, index, chunk);
+        if (!updated) {
+            return { error: 'Unexpected drop chunk' };
+        }
+        
+        if (updated.complete) {
+            const recipientSocketId = await registry.getSocketId(updated.to);
+            if (recipientSocketId) {
+                io.to(recipientSocketId).emit('dropAvailable', { drop: describeDrop(updated) });
+            }
+        }
+    });
+    
+    onDropRequest(socket, 'listDrops', async (data, uniqueId) => {
+        const drops = await dropStore.list();
+        
+        return {
+            incoming: drops
+                .filter(drop => drop.to === uniqueId && drop.complete && drop.downloads < drop.maxDownloads)
+                .map(describeDrop),
+            outgoing: drops
+                .filter(drop => drop.from === uniqueId)
+                .map(describeDrop)
+        };
+    });
+    
+    onDropRequest(socket, 'openDrop', async (id, uniqueId) => {
+        const drop = await dropStore.get(id);
+        if (!drop || drop.to !== uniqueId || !drop.complete) {
+            return { error: 'Drop not found' };
+        }
+        
+        if (socket.data.openDrops.has(id)) {
+            socket.data.openDrops.set(id, 0);
+            return { drop: describeDrop(drop) };
+        }
+        
+        const opened = await dropStore.open(id);
+        if (!opened) {
+            return { error: 'This drop can no longer be downloaded' };
+        }
+        
+        socket.data.openDrops.set(id, 0);
+        return { drop: describeDrop(opened) };
+    });
+    
+    onDropRequest(socket, 'readDrop', async (data, uniqueId) => {
+        const { id, index } = isPlainObject(data) ? data : {};
+        
+        if (!socket.data.openDrops.has(id)) {
+            return { error: 'Open the drop before downloading it' };
+        }
+        
+        const drop = await dropStore.get(id);
+        if (!drop || drop.to !== uniqueId) {
+            socket.data.openDrops.delete(id);
+            await dropStore.release(id);
+            return { error: 'Drop not found' };
+        }
+        
+        const chunkCount = Math.ceil(drop.size / DROP_CHUNK_SIZE);
+        if (!Number.isInteger(index) || index < 0 || index >= chunkCount) {
+            return { error: 'Invalid drop chunk' };
+        }
+        
+        const chunk = await dropStore.readChunk(drop, index);
+        const nextIndex = socket.data.openDrops.get(id);
+        if (index === nextIndex) {
+            socket.data.openDrops.set(id, nextIndex + 1);
+        }
+        if (socket.data.openDrops.get(id) === chunkCount) {
+            socket.data.openDrops.delete(id);
+            await dropStore.finish(id);
+        }
+        
+        return { data: chunk };
+    });
+    
+    onDropRequest(socket, 'deleteDrop', async (id, uniqueId) => {
+        const drop = await dropStore.get(id);
+        if (!drop || (drop.from !== uniqueId && drop.to !== uniqueId)) {
+            return { error: 'Drop not found' };
+        }
+        
+        await dropStore.remove(id);
+    });
+    
     socket.on('ping', () => {
         socket.emit('pong', { timestamp: new Date().toISOString() });
     });
     
-    socket.on('checkUser', (targetId) => {
+    socket.on('subscribePresence', async (userIds) => {
+        try {
+            if (!Array.isArray(userIds) || userIds.length > MAX_PRESENCE_SUBSCRIPTIONS ||
+                !userIds.every(id => typeof id === 'string' && USER_ID_PATTERN.test(id))) {
+                socket.emit('error', { message: 'Invalid presence subscription' });
+                return;
+            }
+            
+            Array.from(socket.rooms)
+                .filter(room => room.startsWith(PRESENCE_PREFIX))
+                .forEach(room => socket.leave(room));
+            
+            userIds.forEach(targetId => socket.join(PRESENCE_PREFIX + targetId));
+            
+            for (const targetId of userIds) {
+                socket.emit('userStatus', {
+                    targetId,
+                    online: Boolean(await registry.getSocketId(targetId)),
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            console.error(`Error handling presence subscription:`, error);
+            socket.emit('error', { message: 'Failed to subscribe to presence' });
+        }
+    });
+    
+    socket.on('getIceConfig', async (data, ack) => {
+        if (typeof ack !== 'function') {
+            return;
+        }
+        
+        try {
+            const uniqueId = await registry.getUniqueId(socket.id);
+            if (!uniqueId) {
+                ack({ error: 'Register before requesting the ICE configuration' });
+                return;
+            }
+            
+            ack(buildIceConfig(uniqueId));
+        } catch (error) {
+            console.error(`Error handling getIceConfig:`, error);
+            ack({ error: 'Failed to load the ICE configuration' });
+        }
+    });
+    
+    socket.on('checkUser', async (targetId) => {
         try {
-            const isOnline = idRegistry.has(targetId);
+            if (!(await registry.getUniqueId(socket.id))) {
+                socket.emit('error', { message: 'Register before checking users' });
+                return;
+            }
+            
+            if (typeof targetId !== 'string' || !USER_ID_PATTERN.test(targetId)) {
+                socket.emit('error', { message: 'Invalid user ID format' });
+                return;
+            }
+            
+            const isOnline = Boolean(await registry.getSocketId(targetId));
             socket.emit('userStatus', { 
                 targetId, 
                 online: isOnline,
@@ -241,20 +721,27 @@ io.on('connection', (socket) => {
         }
     });
     
-    socket.on('disconnect', (reason) => {
+    socket.on('disconnecting', () => {
+        try {
+            leaveRooms(socket, socket.data.uniqueId);
+            leaveRelays(socket, socket.data.uniqueId);
+        } catch (error) {
+            console.error(`Error leaving rooms:`, error);
+        }
+    });
+    
+    socket.on('disconnect', async (reason) => {
         console.log(`Client disconnected: ${socket.id}`);
+        pendingChallenges.delete(socket.id);
         
         try {
-            const uniqueId = userRegistry.get(socket.id);
+            const uniqueId = await registry.unregister(socket.id);
             if (uniqueId) {
-                userRegistry.delete(socket.id);
-                idRegistry.delete(uniqueId);
-                connectionTimes.delete(uniqueId);
-                
-                socket.broadcast.emit('userDisconnected', { 
-                    userId: uniqueId,
-                    timestamp: new Date().toISOString()
-                });
+                publishPresence(uniqueId, false);
+            }
+            
+            if (dropStore) {
+                await Promise.all(Array.from(socket.data.openDrops.keys(), id => dropStore.release(id)));
             }
         } catch (error) {
             console.error(`Error handling disconnect:`, error);
@@ -276,63 +763,565 @@ io.on('connection', (socket) => {
     });
 });
 
-function cleanupStaleConnections() {
-    const connectedSocketIds = new Set(Array.from(io.sockets.sockets.keys()));
-    const registeredSocketIds = new Set(userRegistry.keys());
+async function relaySignal(socket, message) {
+    try {
+        if (payloadSize(message) > MAX_SIGNAL_SIZE) {
+            socket.emit('error', { message: 'Signal is too large' });
+            return;
+        }
+        
+        const signal = parseSignal(message);
+        
+        if (!signal) {
+            socket.emit('error', { message: 'Invalid signal data format' });
+            return;
+        }
+        
+        const senderUniqueId = await registry.getUniqueId(socket.id);
+        if (!senderUniqueId || (message.from !== undefined && message.from !== senderUniqueId)) {
+            socket.emit('error', { message: 'Identity verification failed' });
+            return;
+        }
+        
+        const targetSocketId = await registry.getSocketId(signal.to);
+        
+        if (signal.room && !(socket.rooms.has(roomKey(signal.room)) && targetSocketId && await isInRoom(targetSocketId, signal.room))) {
+            socket.emit('error', { message: 'Target user is not in this room', targetId: signal.to, signalType: signal.type });
+            return;
+        }
+        
+        if (targetSocketId) {
+            socket.to(targetSocketId).emit('signaling', {
+                v: SIGNALING_VERSION,
+                type: signal.type,
+                from: senderUniqueId,
+                to: signal.to,
+                room: signal.room,
+                data: signal.data,
+                timestamp: new Date().toISOString()
+            });
+        } else {
+            socket.emit('error', { 
+                message: 'Target user not found or offline',
+                targetId: signal.to,
+                signalType: signal.type
+            });
+        }
+        
+    } catch (error) {
+        console.error(`Error handling send-signal:`, error);
+        socket.emit('error', { message: 'Signal processing failed' });
+    }
+}
+
+const signalSchemas = {
+    offer: parseDescription,
+    answer: parseDescription,
+    candidate: parseCandidate,
+    reject: parseReason,
+    cancel: parseReason,
+    hangup: parseReason
+};
+
+function parseSignal(message) {
+    if (!isPlainObject(message) || message.v !== SIGNALING_VERSION) {
+        return null;
+    }
+    
+    if (!Object.prototype.hasOwnProperty.call(signalSchemas, message.type)) {
+        return null;
+    }
     
-    const staleSocketIds = Array.from(registeredSocketIds).filter(id => !connectedSocketIds.has(id));
+    if (typeof message.to !== 'string' || !USER_ID_PATTERN.test(message.to)) {
+        return null;
+    }
     
-    if (staleSocketIds.length > 0) {
-        staleSocketIds.forEach(socketId => {
-            const uniqueId = userRegistry.get(socketId);
-            if (uniqueId) {
-                userRegistry.delete(socketId);
-                idRegistry.delete(uniqueId);
-                connectionTimes.delete(uniqueId);
-            }
+    const data = message.data === undefined ? {} : message.data;
+    if (!isPlainObject(data)) {
+        return null;
+    }
+    
+    if (message.room !== undefined && (typeof message.room !== 'string' || !ROOM_ID_PATTERN.test(message.room))) {
+        return null;
+    }
+    
+    const parsed = signalSchemas[message.type](data);
+    return parsed ? { type: message.type, to: message.to, room: message.room, data: parsed } : null;
+}
+
+function parseDescription(data) {
+    if (typeof data.sdp !== 'string' || !data.sdp || data.sdp.length > MAX_SDP_LENGTH) {
+        return null;
+    }
+    
+    return { sdp: data.sdp };
+}
+
+function parseCandidate(data) {
+    const candidate = data.candidate;
+    
+    if (!isPlainObject(candidate) || typeof candidate.candidate !== 'string' || candidate.candidate.length > MAX_CANDIDATE_LENGTH) {
+        return null;
+    }
+    
+    const { sdpMid = null, sdpMLineIndex = null, usernameFragment = null } = candidate;
+    
+    if ((sdpMid !== null && typeof sdpMid !== 'string') ||
+        (sdpMLineIndex !== null && !Number.isInteger(sdpMLineIndex)) ||
+        (usernameFragment !== null && typeof usernameFragment !== 'string')) {
+        return null;
+    }
+    
+    return { candidate: { candidate: candidate.candidate, sdpMid, sdpMLineIndex, usernameFragment } };
+}
+
+function parseReason(data) {
+    if (data.reason === undefined) {
+        return {};
+    }
+    
+    if (typeof data.reason !== 'string' || data.reason.length > MAX_REASON_LENGTH) {
+        return null;
+    }
+    
+    return { reason: data.reason };
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function roomKey(roomId) {
+    return ROOM_PREFIX + roomId;
+}
+
+async function getRoomMembers(roomId) {
+    const sockets = await io.in(roomKey(roomId)).fetchSockets();
+    return sockets.map(socket => socket.data.uniqueId).filter(Boolean);
+}
+
+async function isInRoom(socketId, roomId) {
+    const sockets = await io.in(socketId).fetchSockets();
+    return sockets.some(socket => socket.rooms.has(roomKey(roomId)));
+}
+
+function leaveRoom(socket, roomId, uniqueId) {
+    socket.leave(roomKey(roomId));
+    if (uniqueId) {
+        io.to(roomKey(roomId)).except(socket.id).emit('roomMemberLeft', {
+            roomId: roomId,
+            memberId: uniqueId,
+            timestamp: new Date().toISOString()
         });
     }
 }
 
-setInterval(cleanupStaleConnections, 5 * 60 * 1000);
+function leaveRooms(socket, uniqueId) {
+    Array.from(socket.rooms)
+        .filter(room => room.startsWith(ROOM_PREFIX))
+        .forEach(room => leaveRoom(socket, room.slice(ROOM_PREFIX.length), uniqueId));
+}
 
-function gracefulShutdown(signal) {
-    console.log(`Received ${signal}. Starting graceful shutdown...`);
+function relayKey(userId, peerId) {
+    return RELAY_PREFIX + [userId, peerId].sort().join(':');
+}
+
+function leaveRelay(socket, room, uniqueId) {
+    socket.leave(room);
+    io.to(room).except(socket.id).emit('relayClosed', {
+        peerId: uniqueId,
+        timestamp: new Date().toISOString()
+    });
+}
+
+function leaveRelays(socket, uniqueId) {
+    Array.from(socket.rooms)
+        .filter(room => room.startsWith(RELAY_PREFIX))
+        .forEach(room => leaveRelay(socket, room, uniqueId));
+}
+
+function chargeRelayBandwidth(socket, size) {
+    const rate = iceConfig.relayBandwidth;
+    const bucket = socket.data.relayBucket;
+    const now = Date.now();
+    
+    bucket.tokens = Math.min(rate, bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+    bucket.updatedAt = now;
+    
+    if (bucket.tokens - size < -MAX_RELAY_BACKLOG) {
+        return null;
+    }
+    
+    bucket.tokens -= size;
+    return bucket.tokens < 0 ? Math.ceil(-bucket.tokens / rate * 1000) : 0;
+}
+
+function onDropRequest(socket, event, handler) {
+    socket.on(event, async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        
+        try {
+            if (!dropStore) {
+                reply({ error: 'The drop box is disabled on this server' });
+                return;
+            }
+            
+            const uniqueId = await registry.getUniqueId(socket.id);
+            if (!uniqueId) {
+                reply({ error: 'Register before using the drop box' });
+                return;
+            }
+            
+            reply((await handler(data, uniqueId)) || {});
+        } catch (error) {
+            console.error(`Error handling ${event}:`, error);
+            reply({ error: 'Drop box request failed' });
+        }
+    });
+}
+
+function describeDrop(drop) {
+    return {
+        id: drop.id,
+        from: drop.from,
+        to: drop.to,
+        size: drop.size,
+        senderKey: drop.senderKey,
+        ephemeralKey: drop.ephemeralKey,
+        header: drop.header,
+        signature: drop.signature,
+        downloadsLeft: drop.maxDownloads - drop.downloads,
+        createdAt: new Date(drop.createdAt).toISOString(),
+        expiresAt: new Date(drop.expiresAt).toISOString()
+    };
+}
+
+async function purgeDrops() {
+    try {
+        const removed = await dropStore.purge();
+        if (removed > 0) {
+            console.log(`Removed ${removed} expired drop(s)`);
+        }
+    } catch (error) {
+        console.error('Error purging drops:', error);
+    }
+}
+
+function publishPresence(uniqueId, online) {
+    io.to(PRESENCE_PREFIX + uniqueId).emit('userStatus', {
+        targetId: uniqueId,
+        online: online,
+        timestamp: new Date().toISOString()
+    });
+}
+
+function getClientIp(socket) {
+    const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+    
+    if (trustProxy && typeof forwardedFor === 'string' && forwardedFor.trim()) {
+        return forwardedFor.split(',')[0].trim();
+    }
     
-    server.close(() => {
-        console.log('HTTP server closed');
+    return socket.handshake.address;
+}
+
+function consumeRateLimit(socket, clientIp, event) {
+    const limit = RATE_LIMITS[event] || RATE_LIMITS.default;
+    
+    return takeToken(socket.data.rateLimits, event, limit.capacity, limit.refillPerSecond) &&
+        takeToken(ipRateLimits, `${clientIp}:${event}`, limit.capacity * IP_RATE_LIMIT_FACTOR, limit.refillPerSecond * IP_RATE_LIMIT_FACTOR);
+}
+
+function takeToken(buckets, key, capacity, refillPerSecond) {
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    
+    if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: now };
+        buckets.set(key, bucket);
+    }
+    
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+    bucket.updatedAt = now;
+    
+    if (bucket.tokens < 1) {
+        return false;
+    }
+    
+    bucket.tokens -= 1;
+    return true;
+}
+
+function pruneRateLimits() {
+    const now = Date.now();
+    
+    ipRateLimits.forEach((bucket, key) => {
+        if (now - bucket.updatedAt > RATE_LIMIT_IDLE_TIME) {
+            ipRateLimits.delete(key);
+        }
+    });
+}
+
+function payloadSize(value) {
+    try {
+        return Buffer.byteLength(JSON.stringify(value) || '');
+    } catch (error) {
+        return Infinity;
+    }
+}
+
+function isAdminRequest(req) {
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    if (!match) {
+        return false;
+    }
+    
+    const expected = crypto.createHash('sha256').update(adminToken).digest();
+    const actual = crypto.createHash('sha256').update(match[1]).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function parseIdentityKey(publicKey) {
+    const keyObject = crypto.createPublicKey({
+        key: Buffer.from(publicKey, 'base64'),
+        format: 'der',
+        type: 'spki'
+    });
+    
+    if (keyObject.asymmetricKeyType !== 'ec' || keyObject.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+        throw new Error('Identity keys must be ECDSA P-256');
+    }
+    
+    return keyObject;
+}
+
+function deriveUserId(keyObject) {
+    const digest = crypto.createHash('sha256').update(keyObject.export({ format: 'der', type: 'spki' })).digest();
+    let bits = 0;
+    let value = 0;
+    let result = '';
+    
+    for (let i = 0; i < digest.length && result.length < USER_ID_LENGTH; i++) {
+        value = (value << 8) | digest[i];
+        bits += 8;
+        while (bits >= 5 && result.length < USER_ID_LENGTH) {
+            result += USER_ID_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+    
+    return result;
+}
+
+function connectRedis(url) {
+    const pubClient = new Redis(url);
+    const subClient = pubClient.duplicate();
+    
+    [pubClient, subClient].forEach(client => {
+        client.on('error', (error) => console.error('Redis error:', error.message));
+        redisClients.push(client);
+    });
+    
+    io.adapter(createAdapter(pubClient, subClient));
+    return createRedisRegistry(pubClient);
+}
+
+function loadIceConfig() {
+    let fileConfig = {};
+
+    if (process.env.ICE_CONFIG_FILE) {
+        fileConfig = JSON.parse(fs.readFileSync(path.resolve(process.env.ICE_CONFIG_FILE), 'utf8'));
+    }
+
+    const config = {
+        stunUrls: listSetting(process.env.STUN_URLS, fileConfig.stunUrls, DEFAULT_STUN_URLS),
+        turnUrls: listSetting(process.env.TURN_URLS, fileConfig.turnUrls, []),
+        turnSecret: process.env.TURN_SECRET || fileConfig.turnSecret || null,
+        turnTtl: Number(process.env.TURN_TTL || fileConfig.turnTtl || DEFAULT_TURN_TTL),
+        iceTransportPolicy: process.env.ICE_TRANSPORT_POLICY || fileConfig.iceTransportPolicy || 'all',
+        reconnectAttempts: Number(process.env.RECONNECT_ATTEMPTS || (fileConfig.reconnectAttempts ?? DEFAULT_RECONNECT_ATTEMPTS)),
+        reconnectGracePeriod: Number(process.env.RECONNECT_GRACE_PERIOD || (fileConfig.reconnectGracePeriod ?? DEFAULT_RECONNECT_GRACE_PERIOD)),
+        relayBandwidth: Number(process.env.RELAY_BANDWIDTH || (fileConfig.relayBandwidth ?? DEFAULT_RELAY_BANDWIDTH))
+    };
+
+    if (config.turnUrls.length > 0 && !config.turnSecret) {
+        throw new Error('TURN_URLS is set but TURN_SECRET is missing');
+    }
+    if (!Number.isInteger(config.turnTtl) || config.turnTtl <= 0) {
+        throw new Error('TURN_TTL must be a positive number of seconds');
+    }
+    if (!Number.isInteger(config.reconnectAttempts) || config.reconnectAttempts < 0) {
+        throw new Error('RECONNECT_ATTEMPTS must be a whole number');
+    }
+    if (!Number.isInteger(config.reconnectGracePeriod) || config.reconnectGracePeriod < 0) {
+        throw new Error('RECONNECT_GRACE_PERIOD must be a whole number of milliseconds');
+    }
+    if (!Number.isInteger(config.relayBandwidth) || config.relayBandwidth < 0) {
+        throw new Error('RELAY_BANDWIDTH must be a whole number of bytes per second');
+    }
+    if (!ICE_TRANSPORT_POLICIES.includes(config.iceTransportPolicy)) {
+        throw new Error(`ICE_TRANSPORT_POLICY must be one of: ${ICE_TRANSPORT_POLICIES.join(', ')}`);
+    }
+    if (config.iceTransportPolicy === 'relay' && config.turnUrls.length === 0) {
+        throw new Error('ICE_TRANSPORT_POLICY=relay requires TURN_URLS');
+    }
+
+    return config;
+}
+
+function loadDropboxConfig() {
+    if (!process.env.DROPBOX_DIR) {
+        return null;
+    }
+
+    const config = {
+        directory: path.resolve(process.env.DROPBOX_DIR),
+        maxSize: Number(process.env.DROPBOX_MAX_SIZE || DEFAULT_DROP_MAX_SIZE),
+        maxTtl: Number(process.env.DROPBOX_MAX_TTL || DEFAULT_DROP_MAX_TTL),
+        maxTotal: Number(process.env.DROPBOX_MAX_TOTAL || DEFAULT_DROP_MAX_TOTAL)
+    };
+
+    if (!Number.isInteger(config.maxSize) || config.maxSize <= 0) {
+        throw new Error('DROPBOX_MAX_SIZE must be a positive number of bytes');
+    }
+    if (!Number.isInteger(config.maxTtl) || config.maxTtl < MIN_DROP_TTL) {
+        throw new Error(`DROPBOX_MAX_TTL must be at least ${MIN_DROP_TTL} seconds`);
+    }
+    if (!Number.isInteger(config.maxTotal) || config.maxTotal < config.maxSize) {
+        throw new Error('DROPBOX_MAX_TOTAL must be at least DROPBOX_MAX_SIZE');
+    }
+
+    return config;
+}
+
+function listSetting(envValue, fileValue, fallback) {
+    if (envValue !== undefined) {
+        return envValue.split(',').map((url) => url.trim()).filter(Boolean);
+    }
+    if (Array.isArray(fileValue)) {
+        return fileValue.filter((url) => typeof url === 'string' && url.length > 0);
+    }
+    return fallback;
+}
+
+function buildIceConfig(userId) {
+    const iceServers = [];
+
+    if (iceConfig.stunUrls.length > 0) {
+        iceServers.push({ urls: iceConfig.stunUrls });
+    }
+
+    let expiresAt = null;
+    if (iceConfig.turnUrls.length > 0) {
+        const { username, credential, expiry } = createTurnCredentials(userId);
+        iceServers.push({ urls: iceConfig.turnUrls, username, credential });
+        expiresAt = new Date(expiry * 1000).toISOString();
+    }
+
+    return {
+        iceServers: iceServers,
+        iceTransportPolicy: iceConfig.iceTransportPolicy,
+        relayAvailable: iceConfig.turnUrls.length > 0,
+        serverRelay: iceConfig.relayBandwidth > 0,
+        expiresAt: expiresAt,
+        reconnect: {
+            maxAttempts: iceConfig.reconnectAttempts,
+            gracePeriod: iceConfig.reconnectGracePeriod
+        }
+    };
+}
+
+function createTurnCredentials(userId) {
+    const expiry = Math.floor(Date.now() / 1000) + iceConfig.turnTtl;
+    const username = `${expiry}:${userId}`;
+    const credential = crypto.createHmac('sha1', iceConfig.turnSecret).update(username).digest('base64');
+
+    return { username, credential, expiry };
+}
+
+async function cleanupStaleConnections() {
+    try {
+        const connectedSocketIds = new Set((await io.fetchSockets()).map(socket => socket.id));
+        const staleUsers = (await registry.listUsers()).filter(user => !connectedSocketIds.has(user.socketId));
         
-        io.close(() => {
-            console.log('Socket.IO server closed');
-            process.exit(0);
+        for (const user of staleUsers) {
+            const uniqueId = await registry.unregister(user.socketId);
+            if (uniqueId) {
+                publishPresence(uniqueId, false);
+            }
+        }
+    } catch (error) {
+        console.error('Error cleaning up stale connections:', error);
+    }
+}
+
+function start(port = process.env.PORT || 8000, host = process.env.HOST || 'localhost') {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            const address = server.address();
+            
+            maintenanceTimers.push(
+                setInterval(cleanupStaleConnections, 5 * 60 * 1000),
+                setInterval(pruneRateLimits, 60 * 1000)
+            );
+            if (dropStore) {
+                purgeDrops();
+                maintenanceTimers.push(setInterval(purgeDrops, 60 * 1000));
+            }
+            
+            console.log(`SovereignShare server running on http://${host}:${address.port}`);
+            console.log(`Frontend available at: http://${host}:${address.port}`);
+            console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+            resolve(address);
         });
     });
+}
+
+async function stop() {
+    maintenanceTimers.splice(0).forEach(clearInterval);
+    await new Promise(resolve => io.close(() => resolve()));
+    await registry.close();
+    await Promise.all(redisClients.map(client => client.quit()));
+}
+
+async function gracefulShutdown(signal) {
+    console.log(`Received ${signal}. Starting graceful shutdown...`);
     
     setTimeout(() => {
         console.error('Could not close connections in time, forcefully shutting down');
         process.exit(1);
     }, 10000);
+    
+    try {
+        await stop();
+        console.log('Server stopped');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error during shutdown:', error);
+        process.exit(1);
+    }
 }
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
-process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    gracefulShutdown('uncaughtException');
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-});
-
-const PORT = process.env.PORT || 8000;
-const HOST = process.env.HOST || 'localhost';
-
-server.listen(PORT, HOST, () => {
-    console.log(`SovereignShare server running on http://${HOST}:${PORT}`);
-    console.log(`Frontend available at: http://${HOST}:${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+if (require.main === module) {
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+    
+    process.on('uncaughtException', (error) => {
+        console.error('Uncaught Exception:', error);
+        gracefulShutdown('uncaughtException');
+    });
+    
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    });
+    
+    start().catch((error) => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
+}
 
-module.exports = { app, server, io, userRegistry, idRegistry };
+module.exports = { app, server, io, registry, start, stop, cleanupStaleConnections };
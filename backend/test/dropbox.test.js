@@ -0,0 +1,230 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDropStore } = require('../dropbox');
+const { startServerProcess } = require('./helpers/server-process');
+const { registerClient, nextEvent } = require('./helpers/signaling-client');
+
+const DROP_KEY_CONTEXT = 'sovereignshare-drop-key';
+const DROP_CHUNK_SIZE = 64 * 1024 + 16;
+
+let node;
+let directory;
+const clients = [];
+
+async function register(identity) {
+    const client = await registerClient(node.url, identity);
+    clients.push(client);
+    return client;
+}
+
+function sign(identity, text) {
+    return crypto.sign('sha256', Buffer.from(text), { key: identity.privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64');
+}
+
+function createPublicKey() {
+    const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    return publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+}
+
+async function publishDropKey(client) {
+    const publicKey = createPublicKey();
+    const response = await client.socket.emitWithAck('publishDropKey', {
+        publicKey: publicKey,
+        signature: sign(client.identity, `${DROP_KEY_CONTEXT}:${client.userId}:${publicKey}`)
+    });
+    assert.deepStrictEqual(response, {});
+    return publicKey;
+}
+
+async function createDrop(sender, recipient, size, maxDownloads = 1) {
+    const response = await sender.socket.emitWithAck('createDrop', {
+        to: recipient.userId,
+        size: size,
+        expiresIn: 3600,
+        maxDownloads: maxDownloads,
+        ephemeralKey: createPublicKey(),
+        header: 'c2VhbGVk',
+        signature: 'c2lnbmVk'
+    });
+    assert.ok(response.drop, response.error);
+    return response.drop;
+}
+
+before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sovereignshare-drops-'));
+    node = await startServerProcess({ DROPBOX_DIR: directory, DROPBOX_MAX_SIZE: String(1024 * 1024) });
+});
+
+after(async () => {
+    clients.forEach(client => client.socket.close());
+    await node.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('publishes drop box keys signed by the owner', async () => {
+    const alice = await register();
+    const bob = await register();
+
+    const forged = await alice.socket.emitWithAck('publishDropKey', { publicKey: createPublicKey(), signature: sign(bob.identity, 'forged') });
+    assert.strictEqual(forged.error, 'Drop box key signature is invalid');
+
+    const missing = await bob.socket.emitWithAck('getDropKey', alice.userId);
+    assert.strictEqual(missing.error, 'This user has not set up a drop box yet');
+
+    const publicKey = await publishDropKey(alice);
+    const record = await bob.socket.emitWithAck('getDropKey', alice.userId);
+    assert.strictEqual(record.dropKey, publicKey);
+    assert.strictEqual(record.identityKey, alice.identity.publicKey);
+});
+
+test('stores uploaded ciphertext until its downloads are used up', async () => {
+    const alice = await register();
+    const bob = await register();
+    await publishDropKey(bob);
+
+    const ciphertext = crypto.randomBytes(DROP_CHUNK_SIZE + 100);
+    const drop = await createDrop(alice, bob, ciphertext.length);
+
+    const outOfOrder = await alice.socket.emitWithAck('dropChunk', { id: drop.id, index: 1, data: ciphertext.subarray(DROP_CHUNK_SIZE) });
+    assert.strictEqual(outOfOrder.error, 'Unexpected drop chunk');
+
+    const early = await bob.socket.emitWithAck('openDrop', drop.id);
+    assert.strictEqual(early.error, 'Drop not found');
+
+    const available = nextEvent(bob.socket, 'dropAvailable');
+    await alice.socket.emitWithAck('dropChunk', { id: drop.id, index: 0, data: ciphertext.subarray(0, DROP_CHUNK_SIZE) });
+    await alice.socket.emitWithAck('dropChunk', { id: drop.id, index: 1, data: ciphertext.subarray(DROP_CHUNK_SIZE) });
+    assert.strictEqual((await available).drop.from, alice.userId);
+
+    assert.deepStrictEqual(fs.readFileSync(path.join(directory, 'drops', `${drop.id}.bin`)), ciphertext);
+
+    const { incoming } = await bob.socket.emitWithAck('listDrops', null);
+    assert.deepStrictEqual(incoming.map(entry => entry.id), [drop.id]);
+    assert.strictEqual(incoming[0].senderKey, alice.identity.publicKey);
+
+    const stranger = await register();
+    assert.strictEqual((await stranger.socket.emitWithAck('openDrop', drop.id)).error, 'Drop not found');
+
+    assert.strictEqual((await bob.socket.emitWithAck('openDrop', drop.id)).drop.downloadsLeft, 1);
+    const first = await bob.socket.emitWithAck('readDrop', { id: drop.id, index: 0 });
+    const second = await bob.socket.emitWithAck('readDrop', { id: drop.id, index: 1 });
+    assert.deepStrictEqual(Buffer.concat([first.data, second.data]), ciphertext);
+
+    assert.strictEqual((await bob.socket.emitWithAck('openDrop', drop.id)).error, 'Drop not found');
+    assert.strictEqual(fs.existsSync(path.join(directory, 'drops', `${drop.id}.bin`)), false);
+});
+
+async function uploadDrop(sender, recipient, ciphertext, maxDownloads) {
+    const drop = await createDrop(sender, recipient, ciphertext.length, maxDownloads);
+    for (let index = 0; index * DROP_CHUNK_SIZE < ciphertext.length; index++) {
+        const data = ciphertext.subarray(index * DROP_CHUNK_SIZE, (index + 1) * DROP_CHUNK_SIZE);
+        assert.deepStrictEqual(await sender.socket.emitWithAck('dropChunk', { id: drop.id, index: index, data: data }), {});
+    }
+    return drop;
+}
+
+test('counts a download only once it completes', async () => {
+    const alice = await register();
+    const bob = await register();
+    await publishDropKey(bob);
+
+    const ciphertext = crypto.randomBytes(DROP_CHUNK_SIZE + 100);
+    const drop = await uploadDrop(alice, bob, ciphertext, 1);
+
+    await bob.socket.emitWithAck('openDrop', drop.id);
+    await bob.socket.emitWithAck('readDrop', { id: drop.id, index: 0 });
+    const second = await register(bob.identity);
+    assert.strictEqual((await second.socket.emitWithAck('openDrop', drop.id)).error, 'This drop can no longer be downloaded');
+
+    bob.socket.close();
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const reopened = await second.socket.emitWithAck('openDrop', drop.id);
+    assert.strictEqual(reopened.drop.downloadsLeft, 1);
+    const last = await second.socket.emitWithAck('readDrop', { id: drop.id, index: 1 });
+    assert.deepStrictEqual(last.data, ciphertext.subarray(DROP_CHUNK_SIZE));
+    assert.ok(fs.existsSync(path.join(directory, 'drops', `${drop.id}.bin`)), 'skipping ahead does not finish a download');
+
+    await second.socket.emitWithAck('readDrop', { id: drop.id, index: 0 });
+    await second.socket.emitWithAck('readDrop', { id: drop.id, index: 1 });
+    assert.strictEqual(fs.existsSync(path.join(directory, 'drops', `${drop.id}.bin`)), false);
+});
+
+test('keeps a drop while another download of it is still running', async () => {
+    const alice = await register();
+    const bob = await register();
+    await publishDropKey(bob);
+
+    const ciphertext = crypto.randomBytes(DROP_CHUNK_SIZE + 100);
+    const drop = await uploadDrop(alice, bob, ciphertext, 2);
+    const dataFile = path.join(directory, 'drops', `${drop.id}.bin`);
+
+    await bob.socket.emitWithAck('openDrop', drop.id);
+    await bob.socket.emitWithAck('readDrop', { id: drop.id, index: 0 });
+
+    const laptop = await register(bob.identity);
+    await laptop.socket.emitWithAck('openDrop', drop.id);
+    await laptop.socket.emitWithAck('readDrop', { id: drop.id, index: 0 });
+    await laptop.socket.emitWithAck('readDrop', { id: drop.id, index: 1 });
+    assert.ok(fs.existsSync(dataFile), 'the first download is still running');
+
+    const phone = await register(bob.identity);
+    assert.strictEqual((await phone.socket.emitWithAck('openDrop', drop.id)).error, 'This drop can no longer be downloaded');
+
+    bob.socket.close();
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.strictEqual((await phone.socket.emitWithAck('openDrop', drop.id)).drop.downloadsLeft, 1);
+    const first = await phone.socket.emitWithAck('readDrop', { id: drop.id, index: 0 });
+    const second = await phone.socket.emitWithAck('readDrop', { id: drop.id, index: 1 });
+    assert.deepStrictEqual(Buffer.concat([first.data, second.data]), ciphertext);
+    assert.strictEqual(fs.existsSync(dataFile), false);
+});
+
+test('lets the sender revoke a drop and enforces the size limit', async () => {
+    const alice = await register();
+    const bob = await register();
+    await publishDropKey(bob);
+
+    const tooLarge = await alice.socket.emitWithAck('createDrop', {
+        to: bob.userId,
+        size: 2 * 1024 * 1024,
+        expiresIn: 3600,
+        maxDownloads: 1,
+        ephemeralKey: createPublicKey(),
+        header: '',
+        signature: ''
+    });
+    assert.match(tooLarge.error, /limited to/);
+
+    const drop = await createDrop(alice, bob, 16, 3);
+    await alice.socket.emitWithAck('dropChunk', { id: drop.id, index: 0, data: crypto.randomBytes(16) });
+
+    const { outgoing } = await alice.socket.emitWithAck('listDrops', null);
+    assert.deepStrictEqual(outgoing.map(entry => entry.downloadsLeft), [3]);
+
+    assert.deepStrictEqual(await alice.socket.emitWithAck('deleteDrop', drop.id), {});
+    assert.deepStrictEqual((await bob.socket.emitWithAck('listDrops', null)).incoming, []);
+});
+
+test('purges drops once they expire', async () => {
+    const storeDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'sovereignshare-store-'));
+    const store = createDropStore(storeDirectory, 32);
+
+    try {
+        const fresh = await store.create({ from: 'A', to: 'B', size: 8, maxDownloads: 1, expiresAt: Date.now() + 60000 });
+        const stale = await store.create({ from: 'A', to: 'B', size: 8, maxDownloads: 1, expiresAt: Date.now() - 1 });
+        await store.append(fresh.id, 0, Buffer.alloc(8));
+
+        assert.strictEqual(await store.get(stale.id), null);
+        assert.strictEqual(await store.purge(), 1);
+        assert.deepStrictEqual(fs.readdirSync(path.join(storeDirectory, 'drops')).sort(), [`${fresh.id}.bin`, `${fresh.id}.json`].sort());
+        assert.strictEqual((await store.list()).length, 1);
+    } finally {
+        fs.rmSync(storeDirectory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,291 @@
+const net = require('net');
+
+const OK = { simple: 'OK' };
+const QUEUED = { simple: 'QUEUED' };
+
+function createRedisStandIn() {
+    const strings = new Map();
+    const sets = new Map();
+    const versions = new Map();
+    const channels = new Map();
+    const patterns = new Map();
+    const connections = new Set();
+
+    const touch = (key) => versions.set(key, (versions.get(key) || 0) + 1);
+
+    const commands = {
+        ping: () => ({ simple: 'PONG' }),
+        info: () => '# Server\r\nredis_version:7.2.0\r\nloading:0\r\n',
+        client: () => OK,
+        select: () => OK,
+        get: ([key]) => strings.get(key) || null,
+        mget: (keys) => keys.map(key => strings.get(key) || null),
+        set: ([key, value]) => {
+            strings.set(key, value);
+            touch(key);
+            return OK;
+        },
+        del: (keys) => keys.filter(key => {
+            const existed = strings.delete(key) || sets.delete(key);
+            touch(key);
+            return existed;
+        }).length,
+        sadd: ([key, ...members]) => {
+            const set = sets.get(key) || new Set();
+            sets.set(key, set);
+            touch(key);
+            return members.filter(member => !set.has(member) && set.add(member)).length;
+        },
+        srem: ([key, ...members]) => {
+            const set = sets.get(key) || new Set();
+            touch(key);
+            return members.filter(member => set.delete(member)).length;
+        },
+        smembers: ([key]) => Array.from(sets.get(key) || []),
+        scard: ([key]) => (sets.get(key) || new Set()).size,
+        publish: ([channel, message]) => publish(channel.toString(), channel, message),
+        pubsub: ([subcommand, ...names]) => {
+            if (subcommand.toString().toLowerCase() !== 'numsub') {
+                return new Error('ERR unsupported PUBSUB subcommand');
+            }
+            return names.flatMap(name => [name, (channels.get(name.toString()) || new Set()).size]);
+        }
+    };
+
+    function publish(name, channel, message) {
+        let receivers = 0;
+
+        (channels.get(name) || new Set()).forEach(connection => {
+            connection.write(['message', channel, message]);
+            receivers++;
+        });
+
+        patterns.forEach((subscribers, pattern) => {
+            if (!globToRegExp(pattern).test(name)) {
+                return;
+            }
+            subscribers.forEach(connection => {
+                connection.write(['pmessage', pattern, channel, message]);
+                receivers++;
+            });
+        });
+
+        return receivers;
+    }
+
+    function subscribe(connection, registry, kind, names) {
+        names.forEach(name => {
+            const key = name.toString();
+            const subscribers = registry.get(key) || new Set();
+            registry.set(key, subscribers);
+            subscribers.add(connection);
+            connection.subscriptions.add(`${kind}:${key}`);
+            connection.write([kind, name, connection.subscriptions.size]);
+        });
+    }
+
+    function unsubscribe(connection, registry, kind, names) {
+        const prefix = `${kind.slice(2)}:`;
+        const targets = names.length > 0
+            ? names.map(name => name.toString())
+            : Array.from(connection.subscriptions).filter(entry => entry.startsWith(prefix)).map(entry => entry.slice(prefix.length));
+
+        targets.forEach(name => {
+            const subscribers = registry.get(name);
+            if (subscribers) {
+                subscribers.delete(connection);
+            }
+            connection.subscriptions.delete(prefix + name);
+            connection.write([kind, name, connection.subscriptions.size]);
+        });
+    }
+
+    function execute(connection, args) {
+        const name = args[0].toString().toLowerCase();
+        const params = args.slice(1);
+        const stringParams = params.map(param => param.toString());
+
+        switch (name) {
+            case 'subscribe':
+                return subscribe(connection, channels, 'subscribe', params);
+            case 'psubscribe':
+                return subscribe(connection, patterns, 'psubscribe', params);
+            case 'unsubscribe':
+                return unsubscribe(connection, channels, 'unsubscribe', params);
+            case 'punsubscribe':
+                return unsubscribe(connection, patterns, 'punsubscribe', params);
+            case 'quit':
+                connection.write(OK);
+                connection.socket.end();
+                return undefined;
+            case 'watch':
+                stringParams.forEach(key => connection.watched.set(key, versions.get(key) || 0));
+                return connection.write(OK);
+            case 'unwatch':
+                connection.watched.clear();
+                return connection.write(OK);
+            case 'multi':
+                connection.queue = [];
+                return connection.write(OK);
+            case 'discard':
+                connection.queue = null;
+                connection.watched.clear();
+                return connection.write(OK);
+            case 'exec': {
+                const queue = connection.queue;
+                const aborted = Array.from(connection.watched).some(([key, version]) => (versions.get(key) || 0) !== version);
+                connection.queue = null;
+                connection.watched.clear();
+                if (!queue) {
+                    return connection.write(new Error('ERR EXEC without MULTI'));
+                }
+                return connection.write(aborted ? { nullArray: true } : queue.map(([command, queued]) => run(command, queued)));
+            }
+        }
+
+        if (!commands[name]) {
+            return connection.write(new Error(`ERR unknown command '${name}'`));
+        }
+
+        if (connection.queue) {
+            connection.queue.push([name, name === 'publish' || name === 'pubsub' ? params : stringParams]);
+            return connection.write(QUEUED);
+        }
+
+        return connection.write(run(name, name === 'publish' || name === 'pubsub' ? params : stringParams));
+    }
+
+    function run(name, params) {
+        try {
+            return commands[name](params);
+        } catch (error) {
+            return new Error(`ERR ${error.message}`);
+        }
+    }
+
+    const server = net.createServer(socket => {
+        const connection = {
+            socket,
+            buffer: Buffer.alloc(0),
+            subscriptions: new Set(),
+            watched: new Map(),
+            queue: null,
+            write: (reply) => socket.write(encode(reply))
+        };
+        connections.add(connection);
+
+        socket.on('data', chunk => {
+            connection.buffer = Buffer.concat([connection.buffer, chunk]);
+            for (;;) {
+                const parsed = parseCommand(connection.buffer);
+                if (!parsed) {
+                    break;
+                }
+                connection.buffer = connection.buffer.subarray(parsed.length);
+                execute(connection, parsed.args);
+            }
+        });
+
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            connections.delete(connection);
+            channels.forEach(subscribers => subscribers.delete(connection));
+            patterns.forEach(subscribers => subscribers.delete(connection));
+        });
+    });
+
+    return {
+        listen(port = 0) {
+            return new Promise(resolve => {
+                server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+            });
+        },
+        close() {
+            connections.forEach(connection => connection.socket.destroy());
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+        keys() {
+            return [...strings.keys(), ...sets.keys()];
+        }
+    };
+}
+
+function parseCommand(buffer) {
+    if (buffer.length === 0) {
+        return null;
+    }
+
+    if (buffer[0] !== 0x2a) {
+        const end = buffer.indexOf('\r\n');
+        if (end === -1) {
+            return null;
+        }
+        const args = buffer.subarray(0, end).toString().trim().split(/\s+/).map(arg => Buffer.from(arg));
+        return { args, length: end + 2 };
+    }
+
+    let offset = buffer.indexOf('\r\n');
+    if (offset === -1) {
+        return null;
+    }
+
+    const count = Number(buffer.subarray(1, offset).toString());
+    const args = [];
+    offset += 2;
+
+    for (let i = 0; i < count; i++) {
+        const end = buffer.indexOf('\r\n', offset);
+        if (end === -1) {
+            return null;
+        }
+        const size = Number(buffer.subarray(offset + 1, end).toString());
+        const start = end + 2;
+        if (buffer.length < start + size + 2) {
+            return null;
+        }
+        args.push(buffer.subarray(start, start + size));
+        offset = start + size + 2;
+    }
+
+    return { args, length: offset };
+}
+
+function encode(reply) {
+    if (reply === null || reply === undefined) {
+        return Buffer.from('$-1\r\n');
+    }
+    if (reply instanceof Error) {
+        return Buffer.from(`-${reply.message}\r\n`);
+    }
+    if (reply.simple) {
+        return Buffer.from(`+${reply.simple}\r\n`);
+    }
+    if (reply.nullArray) {
+        return Buffer.from('*-1\r\n');
+    }
+    if (typeof reply === 'number') {
+        return Buffer.from(`:${reply}\r\n`);
+    }
+    if (Array.isArray(reply)) {
+        return Buffer.concat([Buffer.from(`*${reply.length}\r\n`), ...reply.map(encode)]);
+    }
+
+    const data = Buffer.isBuffer(reply) ? reply : Buffer.from(String(reply));
+    return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data, Buffer.from('\r\n')]);
+}
+
+function globToRegExp(pattern) {
+    const source = pattern.split('').map(char => {
+        if (char === '*') {
+            return '.*';
+        }
+        if (char === '?') {
+            return '.';
+        }
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return new RegExp(`^${source}$`, 's');
+}
+
+module.exports = { createRedisStandIn };
@@ -0,0 +1,62 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER_PATH = path.join(__dirname, '../../server.js');
+const START_TIMEOUT = 10000;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function startServerProcess(env = {}) {
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        env: { ...process.env, PORT: String(port), HOST: '127.0.0.1', ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT);
+
+        child.stdout.on('data', (data) => {
+            output += data;
+            if (output.includes('running on')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', (data) => {
+            output += data;
+        });
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        stop() {
+            return new Promise((resolve) => {
+                if (child.exitCode !== null) {
+                    resolve();
+                    return;
+                }
+                child.removeAllListeners('exit');
+                child.on('exit', () => resolve());
+                child.kill('SIGKILL');
+            });
+        }
+    };
+}
+
+module.exports = { startServerProcess };
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { io } = require('socket.io-client');
+
+const USER_ID_LENGTH = 10;
+const USER_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const IDENTITY_CHALLENGE_CONTEXT = 'sovereignshare-auth';
+const EVENT_TIMEOUT = 5000;
+
+function createIdentity() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const spki = publicKey.export({ format: 'der', type: 'spki' });
+
+    return {
+        userId: deriveUserId(spki),
+        publicKey: spki.toString('base64'),
+        privateKey
+    };
+}
+
+function deriveUserId(spki) {
+    const digest = crypto.createHash('sha256').update(spki).digest();
+    let bits = 0;
+    let value = 0;
+    let result = '';
+
+    for (let i = 0; i < digest.length && result.length < USER_ID_LENGTH; i++) {
+        value = (value << 8) | digest[i];
+        bits += 8;
+        while (bits >= 5 && result.length < USER_ID_LENGTH) {
+            result += USER_ID_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+
+    return result;
+}
+
+function signChallenge(identity, nonce) {
+    return crypto.sign(
+        'sha256',
+        Buffer.from(`${IDENTITY_CHALLENGE_CONTEXT}:${identity.userId}:${nonce}`),
+        { key: identity.privateKey, dsaEncoding: 'ieee-p1363' }
+    ).toString('base64');
+}
+
+async function connectClient(url) {
+    const socket = io(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    await nextEvent(socket, 'connect');
+    return socket;
+}
+
+async function registerClient(url, identity = createIdentity()) {
+    const socket = await connectClient(url);
+    const registered = nextEvent(socket, 'registered');
+
+    socket.emit('details', { uniqueId: identity.userId, publicKey: identity.publicKey });
+    const { nonce } = await nextEvent(socket, 'challenge');
+    socket.emit('authenticate', { signature: signChallenge(identity, nonce) });
+    await registered;
+
+    return { socket, identity, userId: identity.userId };
+}
+
+function nextEvent(socket, event, predicate = () => true, timeout = EVENT_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, onEvent);
+            reject(new Error(`Timed out waiting for '${event}'`));
+        }, timeout);
+
+        const onEvent = (data) => {
+            if (!predicate(data)) {
+                return;
+            }
+            clearTimeout(timer);
+            socket.off(event, onEvent);
+            resolve(data);
+        };
+
+        socket.on(event, onEvent);
+    });
+}
+
+function sendSignal(client, type, to, data = {}, room) {
+    client.socket.emit('send-signal', { v: 1, type, from: client.userId, to, data, room });
+}
+
+module.exports = { createIdentity, connectClient, registerClient, nextEvent, sendSignal, signChallenge };
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServerProcess } = require('./helpers/server-process');
+const { registerClient, nextEvent } = require('./helpers/signaling-client');
+
+const RELAY_BANDWIDTH = 64 * 1024;
+
+let node;
+const clients = [];
+
+async function register() {
+    const client = await registerClient(node.url);
+    clients.push(client);
+    return client;
+}
+
+async function openRelay(alice, bob) {
+    const request = nextEvent(bob.socket, 'relayRequest');
+    alice.socket.emit('relayJoin', bob.userId);
+    assert.strictEqual((await request).from, alice.userId);
+
+    const readyForAlice = nextEvent(alice.socket, 'relayReady');
+    const readyForBob = nextEvent(bob.socket, 'relayReady');
+    bob.socket.emit('relayJoin', alice.userId);
+    assert.strictEqual((await readyForAlice).peerId, bob.userId);
+    assert.strictEqual((await readyForBob).peerId, alice.userId);
+}
+
+before(async () => {
+    node = await startServerProcess({ RELAY_BANDWIDTH: String(RELAY_BANDWIDTH) });
+});
+
+after(async () => {
+    clients.forEach(client => client.socket.close());
+    await node.stop();
+});
+
+test('advertises the relay in the ICE configuration', async () => {
+    const alice = await register();
+    const config = await new Promise(resolve => alice.socket.emit('getIceConfig', null, resolve));
+    assert.strictEqual(config.serverRelay, true);
+});
+
+test('relays data only once both peers have joined', async () => {
+    const alice = await register();
+    const bob = await register();
+
+    const refused = nextEvent(alice.socket, 'error', error => error.message === 'No relay open to this peer');
+    alice.socket.emit('relayData', { to: bob.userId, data: 'too early' });
+    await refused;
+
+    await openRelay(alice, bob);
+
+    const text = nextEvent(bob.socket, 'relayData', message => typeof message.data === 'string');
+    const acked = new Promise(resolve => alice.socket.emit('relayData', { to: bob.userId, data: 'sealed' }, resolve));
+    assert.deepStrictEqual(await text, { from: alice.userId, data: 'sealed' });
+    await acked;
+
+    const binary = nextEvent(alice.socket, 'relayData', message => typeof message.data !== 'string');
+    bob.socket.emit('relayData', { to: alice.userId, data: Buffer.from([1, 2, 3]) });
+    assert.deepStrictEqual([...new Uint8Array((await binary).data)], [1, 2, 3]);
+
+    const closed = nextEvent(bob.socket, 'relayClosed');
+    alice.socket.emit('relayLeave');
+    assert.strictEqual((await closed).peerId, alice.userId);
+});
+
+test('paces and then refuses senders that exceed the relay bandwidth', async () => {
+    const alice = await register();
+    const bob = await register();
+    await openRelay(alice, bob);
+
+    const chunk = Buffer.alloc(32 * 1024);
+    const startedAt = Date.now();
+    for (let i = 0; i < 3; i++) {
+        await new Promise(resolve => alice.socket.emit('relayData', { to: bob.userId, data: chunk }, resolve));
+    }
+    assert.ok(Date.now() - startedAt >= 400, 'acks should be delayed once the bandwidth is used up');
+
+    const exceeded = nextEvent(alice.socket, 'error', error => error.message === 'Relay bandwidth exceeded');
+    for (let i = 0; i < 40; i++) {
+        alice.socket.emit('relayData', { to: bob.userId, data: chunk });
+    }
+    await exceeded;
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createRedisStandIn } = require('./helpers/redis-stand-in');
+const { startServerProcess } = require('./helpers/server-process');
+const { createIdentity, registerClient, nextEvent, sendSignal } = require('./helpers/signaling-client');
+
+let redis;
+let nodeA;
+let nodeB;
+const clients = [];
+
+async function register(node, identity) {
+    const client = await registerClient(node.url, identity);
+    clients.push(client);
+    return client;
+}
+
+before(async () => {
+    redis = createRedisStandIn();
+    const redisPort = await redis.listen();
+    const env = { REDIS_URL: `redis://127.0.0.1:${redisPort}` };
+
+    [nodeA, nodeB] = await Promise.all([startServerProcess(env), startServerProcess(env)]);
+});
+
+after(async () => {
+    clients.forEach(client => client.socket.close());
+    await Promise.all([nodeA, nodeB].filter(Boolean).map(node => node.stop()));
+    await redis.close();
+});
+
+test('relays signals between users on different nodes', async () => {
+    const alice = await register(nodeA);
+    const bob = await register(nodeB);
+
+    const offer = nextEvent(bob.socket, 'signaling', message => message.type === 'offer');
+    sendSignal(alice, 'offer', bob.userId, { sdp: 'v=0 offer' });
+    const received = await offer;
+
+    assert.strictEqual(received.from, alice.userId);
+    assert.deepStrictEqual(received.data, { sdp: 'v=0 offer' });
+
+    const answer = nextEvent(alice.socket, 'signaling', message => message.type === 'answer');
+    sendSignal(bob, 'answer', alice.userId, { sdp: 'v=0 answer' });
+    assert.strictEqual((await answer).from, bob.userId);
+});
+
+test('reports users on other nodes as online', async () => {
+    const alice = await register(nodeA);
+    const bob = await register(nodeB);
+
+    const status = nextEvent(bob.socket, 'userStatus', message => message.targetId === alice.userId);
+    bob.socket.emit('checkUser', alice.userId);
+
+    assert.strictEqual((await status).online, true);
+});
+
+test('pushes presence changes to subscribers on other nodes', async () => {
+    const watcher = await register(nodeA);
+    const identity = createIdentity();
+
+    const offline = nextEvent(watcher.socket, 'userStatus', message => message.targetId === identity.userId && !message.online);
+    watcher.socket.emit('subscribePresence', [identity.userId]);
+    await offline;
+
+    const online = nextEvent(watcher.socket, 'userStatus', message => message.targetId === identity.userId && message.online);
+    const target = await register(nodeB, identity);
+    await online;
+
+    const gone = nextEvent(watcher.socket, 'userStatus', message => message.targetId === identity.userId && !message.online);
+    target.socket.close();
+    await gone;
+});
+
+test('replaces a session that moved to another node', async () => {
+    const identity = createIdentity();
+    const first = await register(nodeA, identity);
+    const caller = await register(nodeA);
+
+    const replaced = nextEvent(first.socket, 'error', error => error.message === 'Connection replaced by new session');
+    const second = await register(nodeB, identity);
+    await replaced;
+
+    const offer = nextEvent(second.socket, 'signaling', message => message.type === 'offer');
+    sendSignal(caller, 'offer', identity.userId, { sdp: 'v=0 offer' });
+    assert.strictEqual((await offer).from, caller.userId);
+
+    const stale = nextEvent(first.socket, 'error', error => error.message === 'Identity verification failed');
+    sendSignal(first, 'offer', caller.userId, { sdp: 'v=0 offer' });
+    await stale;
+});
+
+test('shares rooms across nodes', async () => {
+    const alice = await register(nodeA);
+    const bob = await register(nodeB);
+
+    const aliceJoined = nextEvent(alice.socket, 'roomJoined');
+    alice.socket.emit('joinRoom', 'cross-node');
+    assert.deepStrictEqual((await aliceJoined).members, []);
+
+    const memberJoined = nextEvent(alice.socket, 'roomMemberJoined');
+    const bobJoined = nextEvent(bob.socket, 'roomJoined');
+    bob.socket.emit('joinRoom', 'cross-node');
+    assert.deepStrictEqual((await bobJoined).members, [alice.userId]);
+    assert.strictEqual((await memberJoined).memberId, bob.userId);
+
+    const roomOffer = nextEvent(alice.socket, 'signaling', message => message.room === 'cross-node');
+    sendSignal(bob, 'offer', alice.userId, { sdp: 'v=0 room' }, 'cross-node');
+    assert.strictEqual((await roomOffer).from, bob.userId);
+
+    const memberLeft = nextEvent(alice.socket, 'roomMemberLeft');
+    bob.socket.close();
+    assert.strictEqual((await memberLeft).memberId, bob.userId);
+});
+
+test('lists users from every node in the health check', async () => {
+    await register(nodeA);
+    await register(nodeB);
+
+    const [healthA, healthB] = await Promise.all([nodeA, nodeB].map(async node => (await fetch(`${node.url}/api/health`)).json()));
+
+    assert.strictEqual(healthA.registeredUsers, healthB.registeredUsers);
+    assert.ok(healthA.registeredUsers >= 2);
+});
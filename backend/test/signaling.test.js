@@ -0,0 +1,318 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const TURN_SECRET = 'test-turn-secret';
+const TURN_TTL = 600;
+process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+process.env.TURN_URLS = 'turn:turn.example.com:3478';
+process.env.TURN_SECRET = TURN_SECRET;
+process.env.TURN_TTL = String(TURN_TTL);
+
+const { registry, start, stop, cleanupStaleConnections } = require('../server');
+const { createIdentity, connectClient, registerClient, nextEvent, sendSignal, signChallenge } = require('./helpers/signaling-client');
+
+let url;
+const clients = [];
+
+async function register(identity) {
+    const client = await registerClient(url, identity);
+    clients.push(client);
+    return client;
+}
+
+async function connect() {
+    const socket = await connectClient(url);
+    clients.push({ socket });
+    return socket;
+}
+
+before(async () => {
+    const { port } = await start(0, '127.0.0.1');
+    url = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+    clients.forEach(client => client.socket.close());
+    await stop();
+});
+
+test('registers a user that proves ownership of its ID', async () => {
+    const identity = createIdentity();
+    const socket = await connect();
+
+    const mismatch = nextEvent(socket, 'error');
+    socket.emit('details', { uniqueId: createIdentity().userId, publicKey: identity.publicKey });
+    assert.strictEqual((await mismatch).message, 'User ID does not match identity key');
+
+    const challenge = nextEvent(socket, 'challenge');
+    socket.emit('details', { uniqueId: identity.userId, publicKey: identity.publicKey });
+    const { nonce } = await challenge;
+
+    const rejected = nextEvent(socket, 'error');
+    socket.emit('authenticate', { signature: signChallenge(createIdentity(), nonce) });
+    assert.strictEqual((await rejected).message, 'Identity verification failed');
+    assert.strictEqual(await registry.getSocketId(identity.userId), null);
+
+    const retry = nextEvent(socket, 'challenge');
+    socket.emit('details', { uniqueId: identity.userId, publicKey: identity.publicKey });
+    const registered = nextEvent(socket, 'registered');
+    socket.emit('authenticate', { signature: signChallenge(identity, (await retry).nonce) });
+
+    assert.strictEqual((await registered).uniqueId, identity.userId);
+    assert.strictEqual(await registry.getSocketId(identity.userId), socket.id);
+});
+
+test('replaces an older session of the same user', async () => {
+    const identity = createIdentity();
+    const first = await register(identity);
+    const caller = await register();
+
+    const replaced = nextEvent(first.socket, 'error', error => error.message === 'Connection replaced by new session');
+    const second = await register(identity);
+    await replaced;
+    assert.strictEqual(await registry.getSocketId(identity.userId), second.socket.id);
+
+    const offer = nextEvent(second.socket, 'signaling', message => message.type === 'offer');
+    sendSignal(caller, 'offer', identity.userId, { sdp: 'v=0 offer' });
+    assert.strictEqual((await offer).from, caller.userId);
+
+    const stale = nextEvent(first.socket, 'error', error => error.message === 'Identity verification failed');
+    sendSignal(first, 'offer', caller.userId, { sdp: 'v=0 offer' });
+    await stale;
+});
+
+test('only relays signals from the registered sender', async () => {
+    const alice = await register();
+    const bob = await register();
+    const socket = await connect();
+
+    const anonymous = nextEvent(socket, 'error');
+    socket.emit('send-signal', { v: 1, type: 'offer', to: bob.userId, data: { sdp: 'v=0' } });
+    assert.strictEqual((await anonymous).message, 'Identity verification failed');
+
+    const spoofed = nextEvent(alice.socket, 'error');
+    alice.socket.emit('send-signal', { v: 1, type: 'offer', from: bob.userId, to: bob.userId, data: { sdp: 'v=0' } });
+    assert.strictEqual((await spoofed).message, 'Identity verification failed');
+
+    const malformed = nextEvent(alice.socket, 'error');
+    sendSignal(alice, 'offer', bob.userId, { sdp: 42 });
+    assert.strictEqual((await malformed).message, 'Invalid signal data format');
+
+    const badTarget = nextEvent(alice.socket, 'error');
+    sendSignal(alice, 'offer', 'lowercase1', { sdp: 'v=0' });
+    assert.strictEqual((await badTarget).message, 'Invalid signal data format');
+
+    const offline = nextEvent(alice.socket, 'error');
+    sendSignal(alice, 'offer', createIdentity().userId, { sdp: 'v=0' });
+    assert.strictEqual((await offline).message, 'Target user not found or offline');
+});
+
+test('relays offers, answers and candidates between peers', async () => {
+    const alice = await register();
+    const bob = await register();
+
+    const offer = nextEvent(bob.socket, 'signaling', message => message.type === 'offer');
+    sendSignal(alice, 'offer', bob.userId, { sdp: 'v=0 offer', extra: 'dropped' });
+    const receivedOffer = await offer;
+    assert.strictEqual(receivedOffer.v, 1);
+    assert.strictEqual(receivedOffer.from, alice.userId);
+    assert.strictEqual(receivedOffer.to, bob.userId);
+    assert.deepStrictEqual(receivedOffer.data, { sdp: 'v=0 offer' });
+
+    const answer = nextEvent(alice.socket, 'signaling', message => message.type === 'answer');
+    sendSignal(bob, 'answer', alice.userId, { sdp: 'v=0 answer' });
+    assert.deepStrictEqual((await answer).data, { sdp: 'v=0 answer' });
+
+    const candidate = nextEvent(alice.socket, 'signaling', message => message.type === 'candidate');
+    sendSignal(bob, 'candidate', alice.userId, { candidate: { candidate: 'candidate:1 1 udp 1 127.0.0.1 9 typ host', sdpMid: '0' } });
+    assert.deepStrictEqual((await candidate).data, {
+        candidate: { candidate: 'candidate:1 1 udp 1 127.0.0.1 9 typ host', sdpMid: '0', sdpMLineIndex: null, usernameFragment: null }
+    });
+});
+
+test('lets members join, message and leave a room', async () => {
+    const alice = await register();
+    const bob = await register();
+    const outsider = await register();
+
+    const aliceJoined = nextEvent(alice.socket, 'roomJoined');
+    alice.socket.emit('joinRoom', 'test-room');
+    assert.deepStrictEqual((await aliceJoined).members, []);
+
+    const memberJoined = nextEvent(alice.socket, 'roomMemberJoined');
+    const bobJoined = nextEvent(bob.socket, 'roomJoined');
+    bob.socket.emit('joinRoom', 'test-room');
+    assert.deepStrictEqual((await bobJoined).members, [alice.userId]);
+    assert.strictEqual((await memberJoined).memberId, bob.userId);
+
+    const message = nextEvent(bob.socket, 'roomMessage');
+    alice.socket.emit('roomMessage', { roomId: 'test-room', message: { text: 'hello room' } });
+    const received = await message;
+    assert.strictEqual(received.from, alice.userId);
+    assert.deepStrictEqual(received.message, { text: 'hello room' });
+
+    const notMember = nextEvent(outsider.socket, 'error');
+    outsider.socket.emit('roomMessage', { roomId: 'test-room', message: { text: 'let me in' } });
+    assert.strictEqual((await notMember).message, 'Join the room before sending to it');
+
+    const wrongRoom = nextEvent(outsider.socket, 'error');
+    sendSignal(outsider, 'offer', alice.userId, { sdp: 'v=0' }, 'test-room');
+    assert.strictEqual((await wrongRoom).message, 'Target user is not in this room');
+
+    const memberLeft = nextEvent(alice.socket, 'roomMemberLeft');
+    const left = nextEvent(bob.socket, 'roomLeft');
+    bob.socket.emit('leaveRoom', 'test-room');
+    assert.strictEqual((await left).roomId, 'test-room');
+    assert.strictEqual((await memberLeft).memberId, bob.userId);
+});
+
+test('reports whether a user is online', async () => {
+    const alice = await register();
+    const bob = await register();
+    const socket = await connect();
+
+    const unregistered = nextEvent(socket, 'error');
+    socket.emit('checkUser', alice.userId);
+    assert.strictEqual((await unregistered).message, 'Register before checking users');
+
+    const online = nextEvent(alice.socket, 'userStatus', status => status.targetId === bob.userId);
+    alice.socket.emit('checkUser', bob.userId);
+    assert.strictEqual((await online).online, true);
+
+    const offlineId = createIdentity().userId;
+    const offline = nextEvent(alice.socket, 'userStatus', status => status.targetId === offlineId);
+    alice.socket.emit('checkUser', offlineId);
+    assert.strictEqual((await offline).online, false);
+});
+
+test('cleans up after a user disconnects', async () => {
+    const watcher = await register();
+    const leaver = await register();
+
+    const subscribed = nextEvent(watcher.socket, 'userStatus', status => status.targetId === leaver.userId);
+    watcher.socket.emit('subscribePresence', [leaver.userId]);
+    assert.strictEqual((await subscribed).online, true);
+
+    const joined = nextEvent(leaver.socket, 'roomJoined');
+    watcher.socket.emit('joinRoom', 'leaving-room');
+    leaver.socket.emit('joinRoom', 'leaving-room');
+    await joined;
+
+    const memberLeft = nextEvent(watcher.socket, 'roomMemberLeft');
+    const offline = nextEvent(watcher.socket, 'userStatus', status => status.targetId === leaver.userId && !status.online);
+    leaver.socket.close();
+
+    assert.strictEqual((await memberLeft).memberId, leaver.userId);
+    await offline;
+    assert.strictEqual(await registry.getSocketId(leaver.userId), null);
+});
+
+test('removes registrations whose sockets are gone', async () => {
+    const watcher = await register();
+    const ghostId = createIdentity().userId;
+    await registry.register(ghostId, 'ghost-socket');
+
+    const subscribed = nextEvent(watcher.socket, 'userStatus', status => status.targetId === ghostId);
+    watcher.socket.emit('subscribePresence', [ghostId]);
+    assert.strictEqual((await subscribed).online, true);
+
+    const offline = nextEvent(watcher.socket, 'userStatus', status => status.targetId === ghostId && !status.online);
+    await cleanupStaleConnections();
+    await offline;
+
+    assert.strictEqual(await registry.getSocketId(ghostId), null);
+    assert.strictEqual(await registry.getSocketId(watcher.userId), watcher.socket.id);
+});
+
+test('issues TURN credentials only to registered users', async () => {
+    const socket = await connect();
+    const anonymous = await new Promise(resolve => socket.emit('getIceConfig', null, resolve));
+    assert.strictEqual(anonymous.error, 'Register before requesting the ICE configuration');
+
+    const alice = await register();
+    const config = await new Promise(resolve => alice.socket.emit('getIceConfig', null, resolve));
+    const turn = config.iceServers.find(server => server.urls.includes('turn:turn.example.com:3478'));
+    const [expiry, userId] = turn.username.split(':');
+
+    assert.strictEqual(userId, alice.userId);
+    assert.ok(Math.abs(Number(expiry) - (Math.floor(Date.now() / 1000) + TURN_TTL)) <= 5);
+    assert.strictEqual(turn.credential, crypto.createHmac('sha1', TURN_SECRET).update(turn.username).digest('base64'));
+    assert.strictEqual(config.expiresAt, new Date(Number(expiry) * 1000).toISOString());
+    assert.strictEqual(config.relayAvailable, true);
+
+    const response = await fetch(`${url}/api/ice-config?userId=${alice.userId}`);
+    assert.strictEqual(response.status, 404);
+});
+
+test('serves the health check', async () => {
+    await register();
+
+    const response = await fetch(`${url}/api/health`);
+    const health = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(health.status, 'healthy');
+    assert.strictEqual(health.registeredUsers, await registry.count());
+});
+
+test('serves stats only with the admin token', async () => {
+    const alice = await register();
+
+    const anonymous = await fetch(`${url}/api/stats`);
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual(anonymous.headers.get('www-authenticate'), 'Bearer');
+
+    const wrong = await fetch(`${url}/api/stats`, { headers: { Authorization: 'Bearer wrong-token' } });
+    assert.strictEqual(wrong.status, 401);
+
+    const response = await fetch(`${url}/api/stats`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    const stats = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.ok(stats.users.some(user => user.uniqueId === alice.userId && user.socketId === alice.socket.id));
+    assert.strictEqual(stats.registeredUsers, stats.users.length);
+});
+
+test('allows a burst of events and refills the bucket over time', async () => {
+    const socket = await connect();
+
+    const pongs = [];
+    socket.on('pong', pong => pongs.push(pong));
+    const throttled = nextEvent(socket, 'error', error => error.event === 'ping');
+    for (let i = 0; i < 11; i++) {
+        socket.emit('ping');
+    }
+    assert.strictEqual((await throttled).message, 'Too many requests, please slow down');
+    assert.strictEqual(pongs.length, 10);
+
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const pong = nextEvent(socket, 'pong');
+    socket.emit('ping');
+    await pong;
+});
+
+test('answers throttled events that expect a reply', async () => {
+    const alice = await register();
+
+    const replies = await Promise.all(Array.from({ length: 21 }, () =>
+        new Promise(resolve => alice.socket.emit('getIceConfig', null, resolve))));
+
+    assert.ok(replies.slice(0, 20).every(reply => !reply.error));
+    assert.deepStrictEqual(replies[20], { error: 'rate limited' });
+});
+
+test('limits each IP address across all of its connections', async () => {
+    const sockets = await Promise.all(Array.from({ length: 11 }, () => connect()));
+    const errors = sockets.map(socket => nextEvent(socket, 'error', error => error.event === 'relayLeave', 1000).catch(() => null));
+
+    sockets.forEach(socket => {
+        for (let i = 0; i < 10; i++) {
+            socket.emit('relayLeave');
+        }
+    });
+
+    const throttled = (await Promise.all(errors)).filter(Boolean);
+    assert.ok(throttled.length > 0, 'the shared per-IP bucket should run out');
+    assert.ok(throttled.length < sockets.length, 'each connection stayed within its own limit');
+});
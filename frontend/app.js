@@ -1,35 +1,174 @@
+const FRAME_VERSION = 1;
+const FRAME_HEADER_SIZE = 10;
+const FRAME_FLAG_LAST_CHUNK = 0x01;
+const FRAME_FLAG_RETRANSMIT = 0x02;
+const FRAME_FLAG_CHUNK_HASH = 0x04;
+const FRAME_FLAG_ENCRYPTED = 0x08;
+const CHUNK_HASH_SIZE = 32;
+
+const E2E_VERSION = 2;
+const E2E_IV_SIZE = 12;
+const E2E_TAG_SIZE = 16;
+const E2E_CONTEXT = 'sovereignshare-e2e';
+const SAFETY_NUMBER_CONTEXT = 'sovereignshare-safety-number';
+const KEY_EXCHANGE_TIMEOUT = 10000;
+
+const USER_ID_LENGTH = 10;
+const USER_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const IDENTITY_CHALLENGE_CONTEXT = 'sovereignshare-auth';
+
+const SIGNALING_VERSION = 1;
+const CONNECTION_TIMEOUT = 30000;
+const RECONNECT_GRACE_PERIOD = 5000;
+const RECONNECT_ATTEMPTS = 3;
+const ICE_RESTART_TIMEOUT = 10000;
+const RELAY_JOIN_TIMEOUT = 15000;
+const RELAY_WINDOW = 256 * 1024;
+const DIAGNOSTICS_INTERVAL = 1000;
+
+const DROP_KEY_CONTEXT = 'sovereignshare-drop-key';
+const DROP_CONTEXT = 'sovereignshare-drop';
+const DROP_CHUNK_SIZE = 64 * 1024;
+const DROP_REQUEST_TIMEOUT = 15000;
+
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{4,32}$/;
+const PRESENCE_SUBSCRIBE_DELAY = 500;
+
+const ICE_CONFIG_TIMEOUT = 5000;
+const DEFAULT_ICE_SERVERS = [
+    { urls: ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'] }
+];
+
+const DEFAULT_CHUNK_SIZE = 16 * 1024;
+const MAX_CHUNK_SIZE = 256 * 1024;
+const BUFFER_HIGH_WATER_MARK = 4 * 1024 * 1024;
+const BUFFER_LOW_WATER_MARK = 1024 * 1024;
+const MAX_CONCURRENT_TRANSFERS = 3;
+const TRANSFER_CHANNEL_TIMEOUT = 10000;
+
+const MAX_NACK_CHUNKS = 1024;
+const MAX_NACK_ROUNDS = 5;
+const RETRANSMIT_TIMEOUT = 5000;
+
+const DB_NAME = 'sovereignshare';
+const DB_VERSION = 3;
+const TRANSFER_STORE = 'transfers';
+const IDENTITY_STORE = 'identity';
+const CHAT_STORE = 'chats';
+const TRANSFER_PERSIST_INTERVAL = 1000;
+const TRANSFER_COMMIT_INTERVAL = 10000;
+const RESUMABLE_SINK_KINDS = ['stored', 'picker'];
+
+const CHAT_HISTORY_CONTEXT = 'sovereignshare-chat-history';
+const CHAT_HISTORY_ITERATIONS = 600000;
+const CHAT_HISTORY_LIMIT = 1000;
+const CHAT_SAVE_DELAY = 1000;
+const TYPING_IDLE_TIMEOUT = 3000;
+
+const STORED_FILES_DIRECTORY = 'incoming';
+const STORED_FILE_MAX_AGE = 24 * 60 * 60 * 1000;
+const STREAM_DOWNLOAD_PATH = 'downloads/';
+const STREAM_SINK_TIMEOUT = 5000;
+
 class SovereignShare {
     constructor() {
         this.socket = null;
         this.peerConnection = null;
         this.dataChannel = null;
         this.userId = null;
+        this.identity = null;
         this.partnerId = null;
         this.isConnected = false;
         this.isInitiator = false;
-        this.currentFile = null;
-        this.fileChunks = [];
-        this.fileInfo = null;
-        this.chunkSize = 16 * 1024;
+        this.polite = false;
+        this.makingOffer = false;
+        this.ignoreOffer = false;
+        this.negotiationPending = false;
+        this.isCalling = false;
+        this.registered = false;
+        this.reconnect = null;
+        this.reconnectPolicy = { maxAttempts: RECONNECT_ATTEMPTS, gracePeriod: RECONNECT_GRACE_PERIOD };
+        this.room = null;
+        this.relay = null;
+        this.serverRelayAvailable = false;
+        this.dropbox = null;
+        this.dropKey = null;
+        this.drops = { incoming: [], outgoing: [] };
+        this.contacts = this.loadContacts();
+        this.filePolicy = this.loadFilePolicy();
+        this.verifiedPeers = this.loadVerifiedPeers();
+        this.presence = new Map();
+        this.presenceTimer = null;
+        this.incomingTransfers = new Map();
+        this.incomingQueue = Promise.resolve();
+        this.suspendedIncoming = new Map();
+        this.outgoingTransfers = new Map();
+        this.transferItems = new Map();
+        this.transferItemSeq = 0;
+        this.queueRunning = false;
+        this.crc32Table = null;
+        this.databasePromise = null;
+        this.chunkSize = DEFAULT_CHUNK_SIZE;
         this.pendingIceCandidates = [];
         this.connectionTimeout = null;
+        this.secureSession = null;
+        this.sessionKeyPair = null;
+        this.sessionReady = null;
+        this.resolveSession = null;
+        this.keyExchangeTimer = null;
+        this.sendQueue = Promise.resolve();
+        this.receiveQueue = Promise.resolve();
+        this.diagnosticsTimer = null;
+        this.diagnosticsSamples = new Map();
+        this.diagnosticsReport = null;
+        this.chatLog = [];
+        this.chatPeerId = null;
+        this.chatElements = new Map();
+        this.chatHistoryKey = null;
+        this.chatSaveTimer = null;
+        this.unreadChatIds = [];
+        this.typingTimer = null;
+        this.chatSaveQueue = Promise.resolve();
         
         this.initializeElements();
         this.setupEventListeners();
         this.initializeSocket();
-        this.generateUserId();
+        this.loadIdentity();
         this.setupTheme();
+        this.registerServiceWorker();
+        this.pruneTransferRecords();
+        this.pruneStoredFiles();
     }
 
     initializeElements() {
         this.myIdInput = document.getElementById('myId');
         this.peerIdInput = document.getElementById('peerId');
         this.connectBtn = document.getElementById('connectBtn');
+        this.relayOnlyToggle = document.getElementById('relayOnlyToggle');
+        this.allowRelayToggle = document.getElementById('allowRelayToggle');
+        this.roomCodeInput = document.getElementById('roomCode');
+        this.roomBtn = document.getElementById('roomBtn');
+        this.roomMembers = document.getElementById('roomMembers');
+        this.contactList = document.getElementById('contactList');
+        this.contactNicknameInput = document.getElementById('contactNickname');
+        this.contactIdInput = document.getElementById('contactId');
+        this.addContactBtn = document.getElementById('addContactBtn');
+        this.dropBoxGroup = document.getElementById('dropBoxGroup');
+        this.dropList = document.getElementById('dropList');
         this.copyIdBtn = document.getElementById('copyIdBtn');
         this.shareLinkBtn = document.getElementById('shareLinkBtn');
         this.statusIndicator = document.getElementById('statusIndicator');
         this.statusText = document.getElementById('statusText');
         this.disconnectBtn = document.getElementById('disconnectBtn');
+        this.diagnosticsBtn = document.getElementById('diagnosticsBtn');
+        this.diagnosticsPanel = document.getElementById('diagnosticsPanel');
+        this.diagnosticsConnections = document.getElementById('diagnosticsConnections');
+        this.exportDiagnosticsBtn = document.getElementById('exportDiagnosticsBtn');
+        this.securityInfo = document.getElementById('securityInfo');
+        this.safetyNumber = document.getElementById('safetyNumber');
+        this.verificationStatus = document.getElementById('verificationStatus');
+        this.confirmSafetyBtn = document.getElementById('confirmSafetyBtn');
+        this.rejectSafetyBtn = document.getElementById('rejectSafetyBtn');
         this.incomingCall = document.getElementById('incomingCall');
         this.callerId = document.getElementById('callerId');
         this.acceptCallBtn = document.getElementById('acceptCallBtn');
@@ -38,18 +177,36 @@ class SovereignShare {
         this.fileUploadArea = document.getElementById('fileUploadArea');
         this.uploadZone = document.getElementById('uploadZone');
         this.fileInput = document.getElementById('fileInput');
+        this.folderInput = document.getElementById('folderInput');
         this.browseBtn = document.getElementById('browseBtn');
+        this.browseFolderBtn = document.getElementById('browseFolderBtn');
         this.fileProgress = document.getElementById('fileProgress');
-        this.fileName = document.getElementById('fileName');
-        this.progressPercent = document.getElementById('progressPercent');
-        this.progressFill = document.getElementById('progressFill');
+        this.queueSummary = document.getElementById('queueSummary');
+        this.transferList = document.getElementById('transferList');
         this.sendFileBtn = document.getElementById('sendFileBtn');
-        this.downloadFileBtn = document.getElementById('downloadFileBtn');
+        this.recipientSelect = document.getElementById('recipientSelect');
+        this.downloadAllBtn = document.getElementById('downloadAllBtn');
+        this.clearFinishedBtn = document.getElementById('clearFinishedBtn');
+        this.chunkHashToggle = document.getElementById('chunkHashToggle');
+        this.saveLocationOption = document.getElementById('saveLocationOption');
+        this.saveLocationToggle = document.getElementById('saveLocationToggle');
+        this.maxIncomingSizeInput = document.getElementById('maxIncomingSize');
+        this.blockedTypesInput = document.getElementById('blockedTypes');
+        this.dropOptions = document.getElementById('dropOptions');
+        this.dropExpirySelect = document.getElementById('dropExpiry');
+        this.dropDownloadsInput = document.getElementById('dropDownloads');
+        this.dropBtn = document.getElementById('dropBtn');
 
         this.chatPanel = document.getElementById('chatPanel');
         this.chatMessages = document.getElementById('chatMessages');
         this.messageInput = document.getElementById('messageInput');
         this.sendMessageBtn = document.getElementById('sendMessageBtn');
+        this.typingIndicator = document.getElementById('typingIndicator');
+        this.chatPassphraseInput = document.getElementById('chatPassphrase');
+        this.unlockHistoryBtn = document.getElementById('unlockHistoryBtn');
+        this.chatHistoryStatus = document.getElementById('chatHistoryStatus');
+        this.exportChatJsonBtn = document.getElementById('exportChatJsonBtn');
+        this.exportChatMarkdownBtn = document.getElementById('exportChatMarkdownBtn');
 
         this.shareModal = document.getElementById('shareModal');
         this.shareLinkInput = document.getElementById('shareLinkInput');
@@ -61,17 +218,84 @@ class SovereignShare {
     }
 
     setupEventListeners() {
-        this.connectBtn.addEventListener('click', () => this.initiateConnection());
+        this.connectBtn.addEventListener('click', () => {
+            if (this.isCalling) {
+                this.cancelOutgoingCall();
+            } else {
+                this.initiateConnection();
+            }
+        });
         this.copyIdBtn.addEventListener('click', () => this.copyToClipboard(this.userId));
         this.shareLinkBtn.addEventListener('click', () => this.showShareModal());
-        this.disconnectBtn.addEventListener('click', () => this.terminateConnection());
+        this.disconnectBtn.addEventListener('click', () => {
+            if (this.room) {
+                this.leaveRoom();
+            } else {
+                this.terminateConnection();
+            }
+        });
+        this.roomBtn.addEventListener('click', () => {
+            if (this.room) {
+                this.leaveRoom();
+            } else {
+                this.joinRoom();
+            }
+        });
+        this.roomCodeInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.joinRoom();
+            }
+        });
+        this.addContactBtn.addEventListener('click', () => this.addContact());
+        this.contactIdInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addContact();
+            }
+        });
+        this.renderContacts();
+        this.diagnosticsBtn.addEventListener('click', () => this.toggleDiagnostics());
+        this.exportDiagnosticsBtn.addEventListener('click', () => this.exportDiagnostics());
+        this.confirmSafetyBtn.addEventListener('click', () => this.confirmSafetyNumber());
+        this.rejectSafetyBtn.addEventListener('click', () => this.rejectSafetyNumber());
         this.acceptCallBtn.addEventListener('click', () => this.acceptIncomingCall());
         this.rejectCallBtn.addEventListener('click', () => this.rejectIncomingCall());
 
-        this.browseBtn.addEventListener('click', () => this.fileInput.click());
+        this.browseBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.fileInput.click();
+        });
+        this.browseFolderBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.folderInput.click();
+        });
         this.fileInput.addEventListener('change', (e) => this.handleFileSelection(e));
-        this.sendFileBtn.addEventListener('click', () => this.sendFile());
-        this.downloadFileBtn.addEventListener('click', () => this.downloadFile());
+        this.folderInput.addEventListener('change', (e) => this.handleFileSelection(e));
+        this.sendFileBtn.addEventListener('click', () => this.processSendQueue());
+        this.dropBtn.addEventListener('click', () => this.leaveInDropBox());
+        this.downloadAllBtn.addEventListener('click', () => this.downloadAllFiles());
+        this.clearFinishedBtn.addEventListener('click', () => this.clearFinishedItems());
+        this.chunkHashToggle.checked = localStorage.getItem('chunkHashes') !== 'off';
+        this.chunkHashToggle.addEventListener('change', () => {
+            localStorage.setItem('chunkHashes', this.chunkHashToggle.checked ? 'on' : 'off');
+        });
+        this.relayOnlyToggle.checked = localStorage.getItem('relayOnly') === 'on';
+        this.relayOnlyToggle.addEventListener('change', () => {
+            localStorage.setItem('relayOnly', this.relayOnlyToggle.checked ? 'on' : 'off');
+        });
+        this.allowRelayToggle.checked = localStorage.getItem('allowRelay') === 'on';
+        this.allowRelayToggle.addEventListener('change', () => {
+            localStorage.setItem('allowRelay', this.allowRelayToggle.checked ? 'on' : 'off');
+        });
+        this.saveLocationOption.style.display = window.showSaveFilePicker ? 'flex' : 'none';
+        this.saveLocationToggle.checked = localStorage.getItem('askSaveLocation') !== 'off';
+        this.saveLocationToggle.addEventListener('change', () => {
+            localStorage.setItem('askSaveLocation', this.saveLocationToggle.checked ? 'on' : 'off');
+        });
+
+        this.maxIncomingSizeInput.value = this.filePolicy.maxSize ? this.filePolicy.maxSize / (1024 * 1024) : '';
+        this.blockedTypesInput.value = this.filePolicy.blocked.join(', ');
+        this.maxIncomingSizeInput.addEventListener('change', () => this.updateFilePolicy());
+        this.blockedTypesInput.addEventListener('change', () => this.updateFilePolicy());
 
         this.uploadZone.addEventListener('dragover', (e) => this.handleDragOver(e));
         this.uploadZone.addEventListener('drop', (e) => this.handleFileDrop(e));
@@ -81,6 +305,14 @@ class SovereignShare {
         this.messageInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.sendChatMessage();
         });
+        this.messageInput.addEventListener('input', () => this.notifyTyping());
+        this.chatPassphraseInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.unlockChatHistory();
+        });
+        this.unlockHistoryBtn.addEventListener('click', () => this.unlockChatHistory());
+        this.exportChatJsonBtn.addEventListener('click', () => this.exportChat('json'));
+        this.exportChatMarkdownBtn.addEventListener('click', () => this.exportChat('markdown'));
+        document.addEventListener('visibilitychange', () => this.sendReadReceipts());
 
         this.closeShareModal.addEventListener('click', () => this.hideShareModal());
         this.copyLinkBtn.addEventListener('click', () => this.copyToClipboard(this.shareLinkInput.value));
@@ -101,611 +333,5211 @@ class SovereignShare {
         });
         
         this.socket.on('connect', () => {
-            this.updateStatus('Connected to server', 'info');
+            if (!this.isConnected && !this.room) {
+                this.updateStatus('Connected to server', 'info');
+            }
             this.registerUser();
+            this.subscribePresence();
         });
 
-        this.socket.on('disconnect', () => {
-            this.updateStatus('Disconnected from server', 'error');
+        this.socket.on('challenge', (data) => {
+            this.answerChallenge(data);
         });
 
-        this.socket.on('signaling', (data) => {
-            const { signalData } = data;
+        this.socket.on('registered', (data) => {
+            this.handleRegistered(data);
+        });
 
-            if (signalData.type === 'offer') {
-                this.handleIncomingSignal(data); 
-            } else if (signalData.type === 'answer') {
-                this.handlesignaling(data); 
-            } else if (signalData.type === 'ice-candidate') {
-                this.handleIncomingSignal(data);
+        this.socket.on('disconnect', () => {
+            this.registered = false;
+            if (this.relay) {
+                this.relay.channel.close();
             }
+            if (this.isConnected || this.room) {
+                this.showNotification('Lost connection to the server. Reconnecting...', 'warning');
+            } else {
+                this.updateStatus('Disconnected from server', 'error');
+            }
+            this.presence.clear();
+            this.renderContacts();
+        });
+
+        this.socket.on('userStatus', (data) => {
+            this.handleUserStatus(data);
+        });
+
+        this.socket.on('signaling', (message) => {
+            this.handleSignal(message);
+        });
+
+        this.socket.on('roomJoined', (data) => {
+            this.handleRoomJoined(data);
+        });
+
+        this.socket.on('roomMemberJoined', (data) => {
+            this.handleRoomMemberJoined(data);
+        });
+
+        this.socket.on('roomMemberLeft', (data) => {
+            this.handleRoomMemberLeft(data);
+        });
+
+        this.socket.on('relayRequest', (data) => {
+            this.handleRelayRequest(data);
+        });
+
+        this.socket.on('relayReady', (data) => {
+            this.handleRelayReady(data);
+        });
+
+        this.socket.on('relayData', (data) => {
+            this.handleRelayData(data);
+        });
+
+        this.socket.on('relayClosed', (data) => {
+            this.handleRelayClosed(data);
+        });
+
+        this.socket.on('dropAvailable', (data) => {
+            this.handleDropAvailable(data);
         });
 
         this.socket.on('error', (error) => {
             console.error('Socket error:', error);
             this.showNotification('Connection error: ' + error.message, 'error');
+
+            if (this.isCalling && error.targetId === this.partnerId) {
+                this.abortCall('Peer is offline', 'error');
+            }
         });
     }
 
-    generateUserId() {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    async loadIdentity() {
+        try {
+            let identity = await this.runStoreRequest(IDENTITY_STORE, 'readonly', store => store.get('default'));
+
+            if (!identity) {
+                identity = await this.createIdentity();
+                try {
+                    await this.runStoreRequest(IDENTITY_STORE, 'readwrite', store => store.add(identity));
+                } catch (error) {
+                    identity = await this.runStoreRequest(IDENTITY_STORE, 'readonly', store => store.get('default'));
+                    if (!identity) {
+                        throw error;
+                    }
+                }
+            }
+
+            this.identity = identity;
+            this.userId = identity.userId;
+            this.myIdInput.value = this.userId;
+            this.registerUser();
+        } catch (error) {
+            console.error('Error loading identity:', error);
+            this.myIdInput.value = '';
+            this.showNotification('Could not load your identity: ' + error.message, 'error');
+        }
+    }
+
+    async createIdentity() {
+        const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+        const publicKey = new Uint8Array(await crypto.subtle.exportKey('spki', keyPair.publicKey));
+
+        return {
+            name: 'default',
+            userId: await this.deriveUserId(publicKey),
+            publicKey: publicKey,
+            privateKey: keyPair.privateKey,
+            createdAt: Date.now()
+        };
+    }
+
+    async deriveUserId(publicKey) {
+        const digest = await this.sha256(publicKey);
+        let bits = 0;
+        let value = 0;
         let result = '';
-        for (let i = 0; i < 10; i++) {
-            result += chars.charAt(Math.floor(Math.random() * chars.length));
+
+        for (let i = 0; i < digest.length && result.length < USER_ID_LENGTH; i++) {
+            value = (value << 8) | digest[i];
+            bits += 8;
+            while (bits >= 5 && result.length < USER_ID_LENGTH) {
+                result += USER_ID_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+            value &= (1 << bits) - 1;
         }
-        this.userId = result;
-        this.myIdInput.value = this.userId;
+
+        return result;
     }
 
     registerUser() {
-        if (this.userId && this.socket && this.socket.connected) {
+        if (this.identity && this.socket && this.socket.connected) {
             this.socket.emit('details', {
-                uniqueId: this.userId
+                uniqueId: this.userId,
+                publicKey: this.toBase64(this.identity.publicKey)
             });
         }
     }
 
-    checkUrlParameters() {
-        const urlParams = new URLSearchParams(window.location.search);
-        const peerCode = urlParams.get('code');
-        if (peerCode) {
-            this.peerIdInput.value = peerCode;
-            this.updateStatus('Peer ID loaded from URL', 'info');
+    async answerChallenge(data) {
+        if (!this.identity || !data || typeof data.nonce !== 'string') {
+            return;
         }
-    }
-
-    setupTheme() {
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        document.documentElement.setAttribute('data-theme', savedTheme);
-        this.updateThemeIcon(savedTheme);
-    }
 
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-        
-        document.documentElement.setAttribute('data-theme', newTheme);
-        localStorage.setItem('theme', newTheme);
-        this.updateThemeIcon(newTheme);
+        try {
+            const signature = await crypto.subtle.sign(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                this.identity.privateKey,
+                new TextEncoder().encode(`${IDENTITY_CHALLENGE_CONTEXT}:${this.userId}:${data.nonce}`)
+            );
+            this.socket.emit('authenticate', { signature: this.toBase64(new Uint8Array(signature)) });
+        } catch (error) {
+            console.error('Error answering identity challenge:', error);
+            this.showNotification('Could not prove your identity to the server', 'error');
+        }
     }
 
-    updateThemeIcon(theme) {
-        const icon = this.themeToggle.querySelector('i');
-        if (theme === 'dark') {
-            icon.className = 'fas fa-sun';
-        } else {
-            icon.className = 'fas fa-moon';
+    loadContacts() {
+        try {
+            const contacts = JSON.parse(localStorage.getItem('contacts') || '[]');
+            return Array.isArray(contacts)
+                ? contacts.filter(contact => contact && this.isValidUserId(contact.id) && typeof contact.nickname === 'string')
+                : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable contact list:', error);
+            return [];
         }
     }
 
-    async initiateConnection() {
-        const peerId = this.peerIdInput.value.trim();
-        
-        if (!peerId || peerId.length !== 10) {
-            this.showNotification('Please enter a valid 10-character peer ID', 'error');
-            return;
-        }
+    saveContacts() {
+        localStorage.setItem('contacts', JSON.stringify(this.contacts.map(({ id, nickname, trusted }) => ({ id, nickname, trusted: Boolean(trusted) }))));
+    }
 
-        if (peerId === this.userId) {
-            this.showNotification('Cannot connect to yourself', 'error');
-            return;
+    loadVerifiedPeers() {
+        try {
+            const peers = JSON.parse(localStorage.getItem('verifiedPeers') || '{}');
+            return Object.fromEntries(Object.entries(peers).filter(([id, fingerprint]) => this.isValidUserId(id) && typeof fingerprint === 'string'));
+        } catch (error) {
+            console.warn('Ignoring unreadable verified peers:', error);
+            return {};
         }
+    }
 
-        this.partnerId = peerId;
-        this.isInitiator = true;
-        this.updateStatus('Initiating connection...', 'connecting');
-        this.connectBtn.disabled = true;
-
-        this.connectionTimeout = setTimeout(() => {
-            this.showNotification('Connection timeout. Please try again.', 'error');
-            this.resetConnectionState();
-        }, 30000);
+    saveVerifiedPeers() {
+        localStorage.setItem('verifiedPeers', JSON.stringify(this.verifiedPeers));
+    }
 
+    loadFilePolicy() {
         try {
-            await this.createPeerConnection();
-            this.createDataChannel();
-            await this.createOffer();
+            const policy = JSON.parse(localStorage.getItem('filePolicy') || '{}');
+            return {
+                maxSize: Number.isFinite(policy.maxSize) && policy.maxSize > 0 ? policy.maxSize : 0,
+                blocked: Array.isArray(policy.blocked) ? policy.blocked.filter(entry => typeof entry === 'string' && entry) : []
+            };
         } catch (error) {
-            console.error('Connection failed:', error);
-            this.showNotification('Connection failed: ' + error.message, 'error');
-            this.resetConnectionState();
+            console.warn('Ignoring unreadable file policy:', error);
+            return { maxSize: 0, blocked: [] };
         }
     }
 
-    async createPeerConnection() {
-        const configuration = {
-            iceServers: [
-                {
-                    urls: [
-                        "stun:stun.l.google.com:19302",
-                        "stun:stun1.l.google.com:19302",
-                        "stun:stun2.l.google.com:19302",
-                        "stun:stun3.l.google.com:19302",
-                        "stun:stun4.l.google.com:19302"
-                    ]
-                },
-                {
-                    urls: "turn:numb.viagenie.ca",
-                    username: "webrtc@live.com",
-                    credential: "muazkh"
-                }
-            ],
-            iceCandidatePoolSize: 10,
-            iceTransportPolicy: "all",
-            bundlePolicy: "max-bundle",
-            rtcpMuxPolicy: "require"
-        };
-    
-        this.peerConnection = new RTCPeerConnection(configuration);
-    
-        this.peerConnection.onicecandidate = (event) => {
-            if (event.candidate) {
-                this.socket.emit("send-signal", {
-                    from: this.userId,
-                    to: this.partnerId,
-                    signalData: {
-                        type: "ice-candidate",
-                        candidate: event.candidate
-                    }
-                });
-            }
-        };
+    updateFilePolicy() {
+        const megabytes = Number(this.maxIncomingSizeInput.value);
 
-        this.peerConnection.onicecandidateerror = (event) => {
-            console.error('ICE candidate error:', event);
+        this.filePolicy = {
+            maxSize: Number.isFinite(megabytes) && megabytes > 0 ? Math.round(megabytes * 1024 * 1024) : 0,
+            blocked: this.blockedTypesInput.value.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean)
         };
+        localStorage.setItem('filePolicy', JSON.stringify(this.filePolicy));
+        this.blockedTypesInput.value = this.filePolicy.blocked.join(', ');
+    }
 
-        this.peerConnection.onconnectionstatechange = () => {
-            const state = this.peerConnection.connectionState;
-            
-            switch (state) {
-                case 'connecting':
-                    this.updateStatus('Establishing connection...', 'connecting');
-                    break;
-                case 'connected':
-                    this.clearConnectionTimeout();
-                    break;
-                case 'disconnected':
-                    this.handleDisconnection();
-                    break;
-                case 'failed':
-                    this.handleConnectionFailure();
-                    break;
+    checkFilePolicy(peerId, info, relativePath) {
+        const name = relativePath.toLowerCase();
+        const type = typeof info.fileType === 'string' ? info.fileType.toLowerCase() : '';
+        const blocked = this.filePolicy.blocked.find(entry => {
+            if (!entry.includes('/')) {
+                return name.endsWith('.' + entry.replace(/^\./, ''));
             }
-        };
+            return entry.endsWith('/*') ? type.startsWith(entry.slice(0, -1)) : type === entry;
+        });
 
-        this.peerConnection.oniceconnectionstatechange = () => {
-            const state = this.peerConnection.iceConnectionState;
-            
-            switch (state) {
-                case 'checking':
-                    this.updateStatus('Checking connectivity...', 'connecting');
-                    break;
-                case 'failed':
-                    this.handleConnectionFailure();
-                    break;
-            }
-        };
+        if (blocked) {
+            return { decision: 'decline', reason: `${blocked} files are not accepted` };
+        }
+
+        if (this.filePolicy.maxSize && !(info.fileSize <= this.filePolicy.maxSize)) {
+            return { decision: 'decline', reason: `Files larger than ${this.formatBytes(this.filePolicy.maxSize)} are not accepted` };
+        }
+
+        const contact = this.contacts.find(entry => entry.id === peerId);
+        return { decision: contact && contact.trusted ? 'accept' : 'ask' };
     }
 
-    clearConnectionTimeout() {
-        if (this.connectionTimeout) {
-            clearTimeout(this.connectionTimeout);
-            this.connectionTimeout = null;
+    applyFilePolicy(item, peerId, info, accept, decline) {
+        const verdict = this.checkFilePolicy(peerId, info, item.relativePath);
+        const sender = this.getContactLabel(peerId);
+
+        if (verdict.decision === 'decline') {
+            decline(verdict.reason);
+            this.showNotification(`Declined ${item.relativePath} from ${sender}: ${verdict.reason}`, 'warning');
+            return;
+        }
+
+        if (verdict.decision === 'accept') {
+            accept();
+            return;
         }
+
+        item.consent = { accept, decline };
+        this.setItemStatus(item, 'pending');
+        this.showNotification(`${sender} wants to send you ${item.relativePath} (${this.formatBytes(item.size)}, ${item.type || 'unknown type'})`, 'info');
     }
 
-    handleConnectionFailure() {
-        this.clearConnectionTimeout();
-        this.showNotification('Connection failed. Would you like to retry?', 'error');
-        this.updateStatus('Connection failed - Click to retry', 'error');
-        
-        this.connectBtn.textContent = 'Retry Connection';
-        this.connectBtn.disabled = false;
-        
-        setTimeout(() => {
-            this.resetConnectionState();
-        }, 3000);
+    answerFileConsent(item, accepted) {
+        const consent = item.consent;
+        if (!consent || item.status !== 'pending') {
+            return;
+        }
+
+        item.consent = null;
+        if (accepted) {
+            consent.accept();
+        } else {
+            consent.decline('Declined by the receiver');
+        }
     }
 
-    createDataChannel() {
-        this.dataChannel = this.peerConnection.createDataChannel('chat', {
-            ordered: true,
-            maxRetransmits: 3
-        });
-        
-        this.setupDataChannel();
+    isValidUserId(id) {
+        return typeof id === 'string' && id.length === USER_ID_LENGTH && Array.from(id).every(char => USER_ID_ALPHABET.includes(char));
     }
 
-    setupDataChannel() {
-        this.dataChannel.onopen = () => {
-            this.isConnected = true;
-            this.clearConnectionTimeout();
-            this.updateStatus(`Connected to ${this.partnerId}`, 'connected');
-            this.showChatPanel();
-            this.showNotification('Connection established successfully!', 'success');
-        };
+    addContact() {
+        const id = this.contactIdInput.value.trim().toUpperCase();
+        const nickname = this.contactNicknameInput.value.trim() || id;
 
-        this.dataChannel.onclose = () => {
-            this.handleDisconnection();
-        };
+        if (!this.isValidUserId(id)) {
+            this.showNotification(`Please enter a valid ${USER_ID_LENGTH}-character peer ID`, 'error');
+            return;
+        }
 
-        this.dataChannel.onerror = (error) => {
-            console.error('Data channel error:', error);
-            this.showNotification('Data channel error occurred', 'error');
-        };
+        if (id === this.userId) {
+            this.showNotification('You cannot add yourself as a contact', 'error');
+            return;
+        }
 
-        this.dataChannel.onmessage = (event) => {
-            this.handleDataChannelMessage(event.data);
-        };
+        const existing = this.contacts.find(contact => contact.id === id);
+        if (existing) {
+            existing.nickname = nickname;
+        } else {
+            this.contacts.push({ id, nickname });
+        }
+
+        this.contactIdInput.value = '';
+        this.contactNicknameInput.value = '';
+        this.saveContacts();
+        this.renderContacts();
+        this.subscribePresence();
+        this.showNotification(`${nickname} ${existing ? 'updated' : 'added to your contacts'}`, 'success');
     }
 
-    async createOffer() {
-        try {
-            const offer = await this.peerConnection.createOffer({
-                offerToReceiveAudio: false,
-                offerToReceiveVideo: false
-            });
-            
-            await this.peerConnection.setLocalDescription(offer);
-            
-            this.socket.emit('send-signal', {
-                from: this.userId,
-                to: this.partnerId,
-                signalData: {
-                    type: 'offer',
-                    sdp: offer.sdp
-                }
-            });
-        } catch (error) {
-            console.error('Error creating offer:', error);
-            throw error;
-        }
+    removeContact(contact) {
+        this.contacts = this.contacts.filter(entry => entry.id !== contact.id);
+        this.presence.delete(contact.id);
+        this.saveContacts();
+        this.renderContacts();
+        this.subscribePresence();
     }
 
-    async handleIncomingSignal(data) {
-        const { signalData } = data;
-        
-        if (signalData.type === 'offer') {
-            this.partnerId = data.from;
-            this.callerId.textContent = data.from;
-            this.incomingCall.style.display = 'block';
-            this.updateStatus('Incoming connection request', 'connecting');
-            
-            this.pendingOffer = signalData;
-            
-        } else if (signalData.type === 'ice-candidate') {
-            try {
-                const candidate = new RTCIceCandidate(signalData.candidate);
-                
-                if (this.peerConnection && this.peerConnection.remoteDescription) {
-                    await this.peerConnection.addIceCandidate(candidate);
-                } else {
-                    this.pendingIceCandidates.push(candidate);
-                }
-            } catch (error) {
-                console.error('Error handling ICE candidate:', error);
+    toggleContactTrust(contact) {
+        contact.trusted = !contact.trusted;
+        this.saveContacts();
+        this.renderContacts();
+        this.showNotification(contact.trusted
+            ? `Files from ${contact.nickname} will be accepted without asking`
+            : `You will be asked before accepting files from ${contact.nickname}`, 'info');
+    }
+
+    connectToContact(contact) {
+        this.peerIdInput.value = contact.id;
+        this.initiateConnection();
+    }
+
+    getContactLabel(id) {
+        const contact = this.contacts.find(entry => entry.id === id);
+        return contact && contact.nickname !== id ? `${contact.nickname} (${id})` : id;
+    }
+
+    subscribePresence() {
+        clearTimeout(this.presenceTimer);
+        this.presenceTimer = setTimeout(() => {
+            this.presenceTimer = null;
+            if (this.socket && this.socket.connected) {
+                this.socket.emit('subscribePresence', this.contacts.map(contact => contact.id));
             }
-        }
+        }, PRESENCE_SUBSCRIBE_DELAY);
     }
 
-    async acceptIncomingCall() {
+    handleUserStatus(data) {
+        if (!data || !this.contacts.some(contact => contact.id === data.targetId)) {
+            return;
+        }
+
+        this.presence.set(data.targetId, Boolean(data.online));
+        this.renderContacts();
+    }
+
+    renderContacts() {
+        this.contactList.innerHTML = '';
+
+        if (this.contacts.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'contact empty';
+            empty.textContent = 'No contacts yet';
+            this.contactList.appendChild(empty);
+            return;
+        }
+
+        this.contacts.forEach(contact => {
+            const online = this.presence.get(contact.id);
+            const state = online === undefined ? 'unknown' : online ? 'online' : 'offline';
+
+            const entry = document.createElement('li');
+            entry.className = `contact ${state}`;
+            entry.title = `Connect to ${contact.nickname}`;
+            entry.addEventListener('click', () => this.connectToContact(contact));
+
+            const badge = document.createElement('span');
+            badge.className = 'presence-badge';
+            badge.textContent = state === 'unknown' ? 'Unknown' : state === 'online' ? 'Online' : 'Offline';
+
+            const nickname = document.createElement('span');
+            nickname.className = 'contact-nickname';
+            nickname.textContent = contact.nickname;
+
+            const id = document.createElement('span');
+            id.className = 'contact-id';
+            id.textContent = contact.id;
+
+            const trustBtn = this.createItemButton(contact.trusted ? 'fas fa-star' : 'far fa-star',
+                contact.trusted ? 'Trusted: files are accepted without asking' : 'Trust: accept files without asking', (e) => {
+                    e.stopPropagation();
+                    this.toggleContactTrust(contact);
+                });
+
+            const removeBtn = this.createItemButton('fas fa-trash', 'Remove contact', (e) => {
+                e.stopPropagation();
+                this.removeContact(contact);
+            });
+
+            entry.appendChild(badge);
+            entry.appendChild(nickname);
+            entry.appendChild(id);
+            entry.appendChild(trustBtn);
+            entry.appendChild(removeBtn);
+            this.contactList.appendChild(entry);
+        });
+    }
+
+    handleRegistered(data) {
+        this.registered = true;
+        this.dropbox = data && data.dropbox ? data.dropbox : null;
+        this.dropBoxGroup.style.display = this.dropbox ? 'block' : 'none';
+        this.dropOptions.style.display = this.dropbox ? 'flex' : 'none';
+        this.updateQueueControls();
+
+        if (this.dropbox) {
+            Array.from(this.dropExpirySelect.options).forEach(option => {
+                option.disabled = Number(option.value) > this.dropbox.maxTtl;
+            });
+            this.dropDownloadsInput.max = this.dropbox.maxDownloads;
+            this.setupDropBox();
+        }
+
+        if (this.negotiationPending && this.peerConnection) {
+            this.negotiate(this.peerConnection, Boolean(this.reconnect));
+        }
+
+        if (this.room) {
+            this.socket.emit('joinRoom', this.room.id);
+        }
+    }
+
+    async setupDropBox() {
+        try {
+            this.dropKey = await this.loadDropKey();
+            const publicKey = this.toBase64(this.dropKey.publicKey);
+            await this.serverRequest('publishDropKey', {
+                publicKey: publicKey,
+                signature: await this.signText(`${DROP_KEY_CONTEXT}:${this.userId}:${publicKey}`)
+            });
+            await this.refreshDrops();
+        } catch (error) {
+            console.error('Error setting up drop box:', error);
+            this.showNotification('Could not set up your drop box: ' + error.message, 'error');
+        }
+    }
+
+    async loadDropKey() {
+        let record = await this.runStoreRequest(IDENTITY_STORE, 'readonly', store => store.get('dropbox'));
+
+        if (!record) {
+            const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+            record = {
+                name: 'dropbox',
+                publicKey: new Uint8Array(await crypto.subtle.exportKey('spki', keyPair.publicKey)),
+                privateKey: keyPair.privateKey,
+                createdAt: Date.now()
+            };
+            try {
+                await this.runStoreRequest(IDENTITY_STORE, 'readwrite', store => store.add(record));
+            } catch (error) {
+                record = await this.runStoreRequest(IDENTITY_STORE, 'readonly', store => store.get('dropbox'));
+                if (!record) {
+                    throw error;
+                }
+            }
+        }
+
+        return record;
+    }
+
+    serverRequest(event, payload = null, timeout = DROP_REQUEST_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket || !this.socket.connected) {
+                reject(new Error('Not connected to the server'));
+                return;
+            }
+
+            this.socket.timeout(timeout).emit(event, payload, (error, response) => {
+                if (error) {
+                    reject(new Error('The server did not respond'));
+                } else if (response && response.error) {
+                    reject(new Error(response.error));
+                } else {
+                    resolve(response || {});
+                }
+            });
+        });
+    }
+
+    async signText(text) {
+        const signature = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            this.identity.privateKey,
+            new TextEncoder().encode(text)
+        );
+        return this.toBase64(new Uint8Array(signature));
+    }
+
+    async verifySignedText(publicKey, signature, text) {
+        const key = await crypto.subtle.importKey('spki', publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+        return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, this.fromBase64(signature), new TextEncoder().encode(text));
+    }
+
+    async deriveDropKey(privateKey, publicKey, drop) {
+        const sharedSecret = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+        const baseKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+
+        return crypto.subtle.deriveKey({
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: this.fromBase64(drop.ephemeralKey),
+            info: new TextEncoder().encode(`${DROP_CONTEXT}:${drop.from}:${drop.to}`)
+        }, baseKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    }
+
+    dropCipherParams(index, last) {
+        const iv = new Uint8Array(E2E_IV_SIZE);
+        new DataView(iv.buffer).setUint32(E2E_IV_SIZE - 4, index);
+        if (last === null) {
+            iv[0] = 1;
+        }
+
+        return { name: 'AES-GCM', iv: iv, additionalData: Uint8Array.of(last ? 1 : 0) };
+    }
+
+    getDropChunkCount(fileSize) {
+        return Math.max(1, Math.ceil(fileSize / DROP_CHUNK_SIZE));
+    }
+
+    async fetchDropRecipient(recipientId) {
+        const record = await this.serverRequest('getDropKey', recipientId);
+        const identityKey = this.fromBase64(record.identityKey);
+
+        if (await this.deriveUserId(identityKey) !== recipientId ||
+            !(await this.verifySignedText(identityKey, record.signature, `${DROP_KEY_CONTEXT}:${recipientId}:${record.dropKey}`))) {
+            throw new Error(`The server returned a drop box key that ${recipientId} did not sign`);
+        }
+
+        return {
+            id: recipientId,
+            dropKey: await crypto.subtle.importKey('spki', this.fromBase64(record.dropKey), { name: 'ECDH', namedCurve: 'P-256' }, false, [])
+        };
+    }
+
+    async leaveInDropBox() {
+        const recipientId = this.peerIdInput.value.trim().toUpperCase();
+
+        if (!this.isValidUserId(recipientId)) {
+            this.showNotification(`Enter the ${USER_ID_LENGTH}-character ID of the peer to leave the files for`, 'error');
+            return;
+        }
+
+        if (recipientId === this.userId) {
+            this.showNotification('You cannot leave files for yourself', 'error');
+            return;
+        }
+
+        if (!this.dropbox || this.queueRunning) {
+            return;
+        }
+
+        const items = Array.from(this.transferItems.values())
+            .filter(item => item.direction === 'outgoing' && item.status === 'queued');
+        const expiresIn = Number(this.dropExpirySelect.value);
+        const maxDownloads = Math.min(Math.max(Math.floor(Number(this.dropDownloadsInput.value)) || 1, 1), this.dropbox.maxDownloads);
+
+        this.queueRunning = true;
+        this.updateQueueControls();
+        let left = 0;
+
+        try {
+            const recipient = await this.fetchDropRecipient(recipientId);
+            for (const item of items) {
+                if (item.status === 'queued' && await this.uploadDrop(item, recipient, expiresIn, maxDownloads)) {
+                    left++;
+                }
+            }
+        } catch (error) {
+            console.error('Error preparing drop:', error);
+            this.showNotification('Could not leave files: ' + error.message, 'error');
+        } finally {
+            this.queueRunning = false;
+            this.updateQueueControls();
+        }
+
+        if (left > 0) {
+            this.showNotification(`${left} file(s) left for ${this.getContactLabel(recipientId)}`, 'success');
+            this.refreshDrops();
+        }
+    }
+
+    async uploadDrop(item, recipient, expiresIn, maxDownloads) {
+        if (item.size > this.dropbox.maxSize) {
+            this.setItemStatus(item, 'failed');
+            this.showNotification(`${item.name} is larger than the drop box allows (${this.formatBytes(this.dropbox.maxSize)})`, 'error');
+            return false;
+        }
+
+        const file = item.file;
+        const chunkCount = this.getDropChunkCount(file.size);
+        item.drop = true;
+        item.peerId = recipient.id;
+        item.row.peer.textContent = `to ${recipient.id}`;
+        this.setItemStatus(item, 'sending');
+
+        let dropId = null;
+        try {
+            const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+            const ephemeralKey = this.toBase64(new Uint8Array(await crypto.subtle.exportKey('spki', ephemeral.publicKey)));
+            const envelope = { from: this.userId, to: recipient.id, ephemeralKey: ephemeralKey };
+            const key = await this.deriveDropKey(ephemeral.privateKey, recipient.dropKey, envelope);
+            const header = await crypto.subtle.encrypt(this.dropCipherParams(0, null), key, new TextEncoder().encode(JSON.stringify({
+                name: item.relativePath,
+                type: file.type,
+                size: file.size
+            })));
+
+            const { drop } = await this.serverRequest('createDrop', {
+                to: recipient.id,
+                size: file.size + chunkCount * E2E_TAG_SIZE,
+                expiresIn: expiresIn,
+                maxDownloads: maxDownloads,
+                ephemeralKey: ephemeralKey,
+                header: this.toBase64(new Uint8Array(header)),
+                signature: await this.signText(`${DROP_CONTEXT}:${this.userId}:${recipient.id}:${ephemeralKey}`)
+            });
+            dropId = drop.id;
+
+            for (let index = 0; index < chunkCount; index++) {
+                if (item.status === 'cancelled') {
+                    throw new Error('Transfer cancelled');
+                }
+
+                const start = index * DROP_CHUNK_SIZE;
+                const plaintext = await file.slice(start, start + DROP_CHUNK_SIZE).arrayBuffer();
+                const data = await crypto.subtle.encrypt(this.dropCipherParams(index, index === chunkCount - 1), key, plaintext);
+                await this.serverRequest('dropChunk', { id: dropId, index: index, data: data });
+                this.updateItemProgress(item, (index + 1) / chunkCount * 100);
+            }
+
+            this.setItemStatus(item, 'done');
+            return true;
+        } catch (error) {
+            if (dropId) {
+                this.serverRequest('deleteDrop', dropId).catch(() => {});
+            }
+            if (item.status !== 'cancelled') {
+                console.error('Error leaving file in the drop box:', error);
+                this.setItemStatus(item, 'failed');
+                this.showNotification(`Could not leave ${item.name}: ${error.message}`, 'error');
+            }
+            return false;
+        }
+    }
+
+    async refreshDrops() {
+        if (!this.dropbox || !this.dropKey) {
+            return;
+        }
+
+        try {
+            const { incoming, outgoing } = await this.serverRequest('listDrops');
+            const opened = await Promise.all(incoming.map(drop => this.openDropEnvelope(drop).catch(error => {
+                console.warn(`Ignoring unreadable drop ${drop.id}:`, error);
+                return null;
+            })));
+
+            this.drops = { incoming: opened.filter(Boolean), outgoing: outgoing };
+            this.renderDrops();
+        } catch (error) {
+            console.error('Error listing drops:', error);
+            this.showNotification('Could not check your drop box: ' + error.message, 'error');
+        }
+    }
+
+    async openDropEnvelope(drop) {
+        const senderKey = this.fromBase64(drop.senderKey);
+
+        if (drop.to !== this.userId || await this.deriveUserId(senderKey) !== drop.from ||
+            !(await this.verifySignedText(senderKey, drop.signature, `${DROP_CONTEXT}:${drop.from}:${drop.to}:${drop.ephemeralKey}`))) {
+            throw new Error('Drop is not signed by its sender');
+        }
+
+        const ephemeralKey = await crypto.subtle.importKey('spki', this.fromBase64(drop.ephemeralKey), { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+        const key = await this.deriveDropKey(this.dropKey.privateKey, ephemeralKey, drop);
+        const header = await crypto.subtle.decrypt(this.dropCipherParams(0, null), key, this.fromBase64(drop.header));
+        const info = JSON.parse(new TextDecoder().decode(header));
+
+        if (!Number.isInteger(info.size) || info.size + this.getDropChunkCount(info.size) * E2E_TAG_SIZE !== drop.size) {
+            throw new Error('Drop size does not match its contents');
+        }
+
+        return {
+            ...drop,
+            key: key,
+            name: this.sanitizeRelativePath(info.name, 'file'),
+            type: typeof info.type === 'string' ? info.type : '',
+            fileSize: info.size
+        };
+    }
+
+    handleDropAvailable(data) {
+        if (!data || !data.drop) {
+            return;
+        }
+
+        this.showNotification(`${this.getContactLabel(data.drop.from)} left you a file in the drop box`, 'info');
+        this.refreshDrops();
+    }
+
+    renderDrops() {
+        this.dropList.innerHTML = '';
+        const { incoming, outgoing } = this.drops;
+
+        if (incoming.length === 0 && outgoing.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'drop empty';
+            empty.textContent = 'Nothing waiting for you';
+            this.dropList.appendChild(empty);
+            return;
+        }
+
+        incoming.forEach(drop => {
+            this.dropList.appendChild(this.createDropEntry(drop, 'fas fa-arrow-down', drop.name,
+                `from ${this.getContactLabel(drop.from)} · ${this.formatBytes(drop.fileSize)}`, [
+                    this.createItemButton('fas fa-download', 'Download', () => this.downloadDrop(drop)),
+                    this.createItemButton('fas fa-trash', 'Delete', () => this.deleteDrop(drop))
+                ]));
+        });
+
+        outgoing.forEach(drop => {
+            this.dropList.appendChild(this.createDropEntry(drop, 'fas fa-arrow-up', `For ${this.getContactLabel(drop.to)}`,
+                `${drop.downloadsLeft} download(s) left`, [
+                    this.createItemButton('fas fa-trash', 'Withdraw', () => this.deleteDrop(drop))
+                ]));
+        });
+    }
+
+    createDropEntry(drop, iconClass, title, details, buttons) {
+        const entry = document.createElement('li');
+        entry.className = 'drop';
+        entry.title = `Expires ${new Date(drop.expiresAt).toLocaleString()}`;
+
+        const icon = document.createElement('i');
+        icon.className = iconClass;
+
+        const name = document.createElement('span');
+        name.className = 'drop-name';
+        name.textContent = title;
+
+        const meta = document.createElement('span');
+        meta.className = 'drop-meta';
+        meta.textContent = details;
+
+        entry.appendChild(icon);
+        entry.appendChild(name);
+        entry.appendChild(meta);
+        buttons.forEach(button => entry.appendChild(button));
+        return entry;
+    }
+
+    async downloadDrop(drop) {
+        const info = {
+            transferId: `drop-${drop.id}`,
+            chunkSize: DROP_CHUNK_SIZE,
+            totalChunks: this.getDropChunkCount(drop.fileSize),
+            fileName: drop.name.split('/').pop(),
+            fileSize: drop.fileSize,
+            fileType: drop.type
+        };
+        const item = this.createTransferItem('incoming', {
+            name: info.fileName,
+            relativePath: drop.name,
+            size: drop.fileSize,
+            type: drop.type,
+            peerId: drop.from
+        });
+        item.drop = true;
+
+        let sink = null;
+        try {
+            if (window.showSaveFilePicker && this.saveLocationToggle.checked) {
+                try {
+                    const handle = await window.showSaveFilePicker({ suggestedName: info.fileName });
+                    sink = await this.createWritableSink('picker', info, handle, null);
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        this.setItemStatus(item, 'cancelled');
+                        return;
+                    }
+                    throw error;
+                }
+            } else {
+                sink = await this.openFileSink(info);
+            }
+
+            await this.serverRequest('openDrop', drop.id);
+            for (let index = 0; index < info.totalChunks; index++) {
+                const { data } = await this.serverRequest('readDrop', { id: drop.id, index: index });
+                const plaintext = await crypto.subtle.decrypt(this.dropCipherParams(index, index === info.totalChunks - 1), drop.key, data);
+                await sink.write(index, plaintext);
+                this.updateItemProgress(item, (index + 1) / info.totalChunks * 100);
+            }
+
+            item.blob = await sink.close();
+            item.removeFile = sink.remove;
+            item.sinkKind = sink.kind;
+            this.setItemStatus(item, 'done');
+            this.showNotification(`${item.name} from ${this.getContactLabel(drop.from)} downloaded and decrypted`, 'success');
+        } catch (error) {
+            console.error('Error downloading drop:', error);
+            this.discardFileSink(sink);
+            this.setItemStatus(item, 'failed');
+            this.showNotification(`Could not download ${item.name}: ${error.message}`, 'error');
+        }
+
+        this.refreshDrops();
+    }
+
+    async deleteDrop(drop) {
+        try {
+            await this.serverRequest('deleteDrop', drop.id);
+        } catch (error) {
+            console.error('Error deleting drop:', error);
+            this.showNotification('Could not delete the drop: ' + error.message, 'error');
+        }
+
+        this.refreshDrops();
+    }
+
+    checkUrlParameters() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const peerCode = urlParams.get('code');
+        if (peerCode) {
+            this.peerIdInput.value = peerCode;
+            this.updateStatus('Peer ID loaded from URL', 'info');
+        }
+    }
+
+    setupTheme() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        document.documentElement.setAttribute('data-theme', savedTheme);
+        this.updateThemeIcon(savedTheme);
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        
+        document.documentElement.setAttribute('data-theme', newTheme);
+        localStorage.setItem('theme', newTheme);
+        this.updateThemeIcon(newTheme);
+    }
+
+    updateThemeIcon(theme) {
+        const icon = this.themeToggle.querySelector('i');
+        if (theme === 'dark') {
+            icon.className = 'fas fa-sun';
+        } else {
+            icon.className = 'fas fa-moon';
+        }
+    }
+
+    async initiateConnection() {
+        const peerId = this.peerIdInput.value.trim().toUpperCase();
+        
+        if (!peerId || peerId.length !== USER_ID_LENGTH) {
+            this.showNotification(`Please enter a valid ${USER_ID_LENGTH}-character peer ID`, 'error');
+            return;
+        }
+
+        if (peerId === this.userId) {
+            this.showNotification('Cannot connect to yourself', 'error');
+            return;
+        }
+
+        if (this.partnerId || this.isConnected) {
+            this.showNotification('Already connected or connecting to a peer', 'error');
+            return;
+        }
+
+        if (this.room) {
+            this.showNotification('Leave the room before connecting to a single peer', 'error');
+            return;
+        }
+
+        this.partnerId = peerId;
+        this.isInitiator = true;
+        this.isCalling = true;
+        this.updateStatus('Initiating connection...', 'connecting');
+        this.connectBtn.textContent = 'Cancel';
+
+        this.connectionTimeout = setTimeout(() => {
+            if (this.canUseServerRelay()) {
+                this.startRelay();
+                return;
+            }
+            this.showNotification('Connection timeout. Please try again.', 'error');
+            this.cancelOutgoingCall('Timed out');
+        }, CONNECTION_TIMEOUT);
+
+        try {
+            await this.createPeerConnection();
+            this.createDataChannel();
+
+            if (this.pendingOffer) {
+                await this.answerPendingOffer();
+            }
+        } catch (error) {
+            console.error('Connection failed:', error);
+            this.showNotification('Connection failed: ' + error.message, 'error');
+            this.cancelOutgoingCall('Connection failed');
+        }
+    }
+
+    cancelOutgoingCall(reason = 'Cancelled by caller') {
+        if (!this.isCalling) {
+            return;
+        }
+
+        this.sendSignal('cancel', { reason: reason });
+        this.abortCall('Connection cancelled');
+    }
+
+    abortCall(statusText, statusType = 'info') {
+        const peerConnection = this.peerConnection;
+        const dataChannel = this.dataChannel;
+
+        this.resetConnectionState();
+        this.partnerId = null;
+        this.isInitiator = false;
+        this.isCalling = false;
+        this.pendingOffer = null;
+        this.pendingIceCandidates = [];
+        this.incomingCall.style.display = 'none';
+
+        if (dataChannel) {
+            dataChannel.close();
+        }
+        if (peerConnection) {
+            peerConnection.close();
+        }
+
+        this.updateStatus(statusText, statusType);
+    }
+
+    sendSignal(type, data = {}, to = this.partnerId, room = null) {
+        if (!this.socket || !to) {
+            return;
+        }
+
+        const message = {
+            v: SIGNALING_VERSION,
+            type: type,
+            from: this.userId,
+            to: to,
+            data: data
+        };
+        if (room) {
+            message.room = room;
+        }
+
+        this.socket.emit('send-signal', message);
+    }
+
+    handleSignal(message) {
+        if (!message || message.v !== SIGNALING_VERSION) {
+            console.warn('Ignoring signal with unsupported protocol version:', message && message.v);
+            return;
+        }
+
+        if (message.room) {
+            this.handleRoomSignal(message);
+            return;
+        }
+
+        switch (message.type) {
+            case 'offer':
+                this.handleIncomingOffer(message);
+                break;
+            case 'answer':
+                this.handleAnswer(message);
+                break;
+            case 'candidate':
+                this.handleRemoteCandidate(message);
+                break;
+            case 'reject':
+                this.handleCallRejected(message);
+                break;
+            case 'cancel':
+                this.handleCallCancelled(message);
+                break;
+            case 'hangup':
+                this.handleRemoteHangup(message);
+                break;
+            default:
+                console.warn('Unknown signal type:', message.type);
+        }
+    }
+
+    async createPeerConnection() {
+        const partnerId = this.partnerId;
+        const configuration = await this.fetchIceConfiguration();
+
+        if (this.partnerId !== partnerId) {
+            throw new Error('Connection was cancelled');
+        }
+    
+        this.peerConnection = new RTCPeerConnection(configuration);
+        this.polite = this.userId > partnerId;
+    
+        const peerConnection = this.peerConnection;
+
+        this.peerConnection.onnegotiationneeded = () => {
+            this.negotiate(peerConnection);
+        };
+
+        this.peerConnection.onicecandidate = (event) => {
+            if (event.candidate) {
+                this.sendSignal('candidate', {
+                    candidate: event.candidate.toJSON ? event.candidate.toJSON() : event.candidate
+                });
+            }
+        };
+
+        this.peerConnection.onicecandidateerror = (event) => {
+            console.error('ICE candidate error:', event);
+        };
+
+        this.peerConnection.ondatachannel = (event) => {
+            this.setupTransferChannel(event.channel, data => this.handleDataChannelMessage(data));
+        };
+
+        this.peerConnection.onconnectionstatechange = () => {
+            if (this.peerConnection !== peerConnection) {
+                return;
+            }
+
+            const state = peerConnection.connectionState;
+            
+            switch (state) {
+                case 'connecting':
+                    this.updateStatus('Establishing connection...', 'connecting');
+                    break;
+                case 'connected':
+                    this.clearConnectionTimeout();
+                    this.handleConnectionRestored();
+                    break;
+                case 'disconnected':
+                case 'failed':
+                    this.handleConnectionInterrupted(state);
+                    break;
+            }
+        };
+
+        this.peerConnection.oniceconnectionstatechange = () => {
+            if (this.peerConnection !== peerConnection) {
+                return;
+            }
+
+            const state = peerConnection.iceConnectionState;
+            
+            switch (state) {
+                case 'checking':
+                    if (!this.reconnect) {
+                        this.updateStatus('Checking connectivity...', 'connecting');
+                    }
+                    break;
+                case 'failed':
+                    this.handleConnectionInterrupted(state);
+                    break;
+            }
+        };
+    }
+
+    clearConnectionTimeout() {
+        if (this.connectionTimeout) {
+            clearTimeout(this.connectionTimeout);
+            this.connectionTimeout = null;
+        }
+    }
+
+    handleConnectionFailure() {
+        if (this.canUseServerRelay()) {
+            this.startRelay();
+            return;
+        }
+
+        this.clearConnectionTimeout();
+        this.showNotification('Connection failed. Would you like to retry?', 'error');
+        this.updateStatus('Connection failed - Click to retry', 'error');
+        
+        this.connectBtn.textContent = 'Retry Connection';
+        this.connectBtn.disabled = false;
+        
+        setTimeout(() => {
+            this.resetConnectionState();
+        }, 3000);
+    }
+
+    createDataChannel() {
+        this.dataChannel = this.peerConnection.createDataChannel('chat', {
+            ordered: true,
+            negotiated: true,
+            id: 0
+        });
+        
+        this.setupDataChannel();
+    }
+
+    setupDataChannel() {
+        this.dataChannel.binaryType = 'arraybuffer';
+        this.dataChannel.bufferedAmountLowThreshold = BUFFER_LOW_WATER_MARK;
+
+        const channel = this.dataChannel;
+
+        this.dataChannel.onopen = () => {
+            this.isCalling = false;
+            this.chunkSize = this.negotiateChunkSize();
+            this.clearConnectionTimeout();
+            this.updateStatus('Securing connection...', 'connecting');
+            this.startKeyExchange();
+        };
+
+        this.dataChannel.onclose = () => {
+            if (this.dataChannel === channel) {
+                this.handleDisconnection();
+            }
+        };
+
+        this.dataChannel.onerror = (error) => {
+            console.error('Data channel error:', error);
+            this.showNotification('Data channel error occurred', 'error');
+        };
+
+        this.dataChannel.onmessage = (event) => {
+            this.handleDataChannelMessage(event.data);
+        };
+    }
+
+    negotiateChunkSize(link = this) {
+        const sctp = link.peerConnection && link.peerConnection.sctp;
+        const maxMessageSize = sctp ? sctp.maxMessageSize : 0;
+
+        if (!maxMessageSize) {
+            return DEFAULT_CHUNK_SIZE;
+        }
+
+        return Math.min(maxMessageSize, MAX_CHUNK_SIZE) - FRAME_HEADER_SIZE - CHUNK_HASH_SIZE - E2E_IV_SIZE - E2E_TAG_SIZE;
+    }
+
+    waitForBufferDrain(channel) {
+        if (channel.bufferedAmount <= BUFFER_HIGH_WATER_MARK) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                channel.removeEventListener('bufferedamountlow', onLow);
+                channel.removeEventListener('close', onClose);
+            };
+            const onLow = () => {
+                cleanup();
+                resolve();
+            };
+            const onClose = () => {
+                cleanup();
+                reject(new Error('Data channel closed while sending'));
+            };
+
+            channel.addEventListener('bufferedamountlow', onLow);
+            channel.addEventListener('close', onClose);
+        });
+    }
+
+    async openTransferChannel(link, transferId) {
+        if (!link.peerConnection) {
+            return link.dataChannel;
+        }
+
+        const channel = link.peerConnection.createDataChannel(`transfer-${transferId}`, { ordered: true });
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = BUFFER_LOW_WATER_MARK;
+
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('Transfer channel did not open in time')), TRANSFER_CHANNEL_TIMEOUT);
+                channel.onopen = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+                channel.onclose = () => {
+                    clearTimeout(timer);
+                    reject(new Error('Transfer channel closed before opening'));
+                };
+            });
+            return channel;
+        } catch (error) {
+            console.warn(`Sending transfer ${transferId} over the shared channel instead:`, error);
+            channel.close();
+            return link.dataChannel;
+        }
+    }
+
+    setupTransferChannel(channel, onMessage) {
+        channel.binaryType = 'arraybuffer';
+
+        channel.onmessage = (event) => {
+            onMessage(event.data);
+        };
+
+        channel.onerror = (error) => {
+            console.error(`Data channel ${channel.label} error:`, error);
+        };
+    }
+
+    closeTransferChannel(transfer) {
+        const channel = transfer.transferChannel;
+        transfer.transferChannel = null;
+        if (channel && channel !== transfer.channel) {
+            channel.close();
+        }
+    }
+
+    async negotiate(peerConnection, iceRestart = false) {
+        if (this.peerConnection !== peerConnection) {
+            return;
+        }
+
+        if (!this.registered) {
+            this.negotiationPending = true;
+            return;
+        }
+
+        this.negotiationPending = false;
+        try {
+            this.makingOffer = true;
+            if (iceRestart) {
+                await peerConnection.setLocalDescription(await peerConnection.createOffer({ iceRestart: true }));
+            } else {
+                await peerConnection.setLocalDescription();
+            }
+
+            if (this.peerConnection === peerConnection) {
+                this.sendSignal(peerConnection.localDescription.type, { sdp: peerConnection.localDescription.sdp });
+            }
+        } catch (error) {
+            console.error('Error negotiating connection:', error);
+        } finally {
+            this.makingOffer = false;
+        }
+    }
+
+    async handleRemoteDescription(description) {
+        const peerConnection = this.peerConnection;
+        const offerCollision = description.type === 'offer' &&
+            (this.makingOffer || peerConnection.signalingState !== 'stable');
+
+        this.ignoreOffer = !this.polite && offerCollision;
+        if (this.ignoreOffer) {
+            return;
+        }
+
+        await peerConnection.setRemoteDescription(new RTCSessionDescription(description));
+        await this.addPendingIceCandidates();
+
+        if (description.type === 'offer') {
+            await peerConnection.setLocalDescription();
+            this.sendSignal('answer', { sdp: peerConnection.localDescription.sdp });
+        }
+    }
+
+    async answerPendingOffer() {
+        const offer = this.pendingOffer;
+        this.pendingOffer = null;
+
+        await this.handleRemoteDescription({ type: 'offer', sdp: offer.sdp });
+    }
+
+    async handleIncomingOffer(message) {
+        if (message.from === this.partnerId && this.peerConnection) {
+            try {
+                await this.handleRemoteDescription({ type: 'offer', sdp: message.data.sdp });
+            } catch (error) {
+                console.error('Error handling offer:', error);
+            }
+            return;
+        }
+
+        if (message.from === this.partnerId && this.isCalling) {
+            this.pendingOffer = message.data;
+            return;
+        }
+
+        if (this.isConnected || this.room || (this.partnerId && this.partnerId !== message.from)) {
+            this.sendSignal('reject', { reason: 'busy' }, message.from);
+            return;
+        }
+
+        this.partnerId = message.from;
+        this.callerId.textContent = this.getContactLabel(message.from);
+        this.incomingCall.style.display = 'block';
+        this.updateStatus('Incoming connection request', 'connecting');
+        
+        this.pendingOffer = message.data;
+    }
+
+    async handleRemoteCandidate(message) {
+        if (message.from !== this.partnerId) {
+            return;
+        }
+
+        try {
+            const candidate = new RTCIceCandidate(message.data.candidate);
+            
+            if (this.peerConnection && this.peerConnection.remoteDescription) {
+                await this.peerConnection.addIceCandidate(candidate);
+            } else {
+                this.pendingIceCandidates.push(candidate);
+            }
+        } catch (error) {
+            if (!this.ignoreOffer) {
+                console.error('Error handling ICE candidate:', error);
+            }
+        }
+    }
+
+    async addPendingIceCandidates(link = this) {
+        const candidates = link.pendingIceCandidates;
+        link.pendingIceCandidates = [];
+
+        for (const candidate of candidates) {
+            try {
+                await link.peerConnection.addIceCandidate(candidate);
+            } catch (error) {
+                console.error('Error adding pending ICE candidate:', error);
+            }
+        }
+    }
+
+    async acceptIncomingCall() {
+        try {
+            this.incomingCall.style.display = 'none';
+            this.updateStatus('Accepting connection...', 'connecting');
+            
+            this.connectionTimeout = setTimeout(() => {
+                if (this.canUseServerRelay()) {
+                    this.startRelay();
+                    return;
+                }
+                this.showNotification('Connection timeout. Please try again.', 'error');
+                this.sendSignal('hangup', { reason: 'Timed out' });
+                this.abortCall('Connection timed out', 'error');
+            }, CONNECTION_TIMEOUT);
+            
+            await this.createPeerConnection();
+            this.createDataChannel();
+            await this.answerPendingOffer();
+            
+            this.isInitiator = false;
+            
+        } catch (error) {
+            console.error('Error accepting call:', error);
+            this.showNotification('Failed to accept connection: ' + error.message, 'error');
+            this.sendSignal('hangup', { reason: 'Failed to accept' });
+            this.abortCall('Connection failed', 'error');
+        }
+    }
+
+    rejectIncomingCall() {
+        this.sendSignal('reject', { reason: 'declined' });
+        this.abortCall('Call rejected');
+    }
+
+    handleCallRejected(message) {
+        if (!this.isCalling || message.from !== this.partnerId) {
+            return;
+        }
+
+        const busy = message.data && message.data.reason === 'busy';
+        this.showNotification(busy ? `${message.from} is busy with another connection` : `${message.from} declined the connection`, 'warning');
+        this.abortCall('Connection declined');
+    }
+
+    handleCallCancelled(message) {
+        if (message.from !== this.partnerId || this.isConnected) {
+            return;
+        }
+
+        this.showNotification(`${message.from} cancelled the connection request`, 'info');
+        this.abortCall('Not connected');
+    }
+
+    handleRemoteHangup(message) {
+        if (message.from !== this.partnerId) {
+            return;
+        }
+
+        if (!this.peerConnection && !this.relay) {
+            this.abortCall('Not connected');
+            return;
+        }
+
+        if (this.reconnect) {
+            this.showNotification(`${message.from} gave up restoring the connection`, 'error');
+            this.dropConnection(false);
+            return;
+        }
+
+        this.showNotification(`${message.from} ended the connection`, 'info');
+        this.terminateConnection(false);
+    }
+
+    async handleAnswer(message) {
+        if (message.from !== this.partnerId || !this.peerConnection || this.peerConnection.signalingState !== 'have-local-offer') {
+            return;
+        }
+
+        try {
+            await this.handleRemoteDescription({ type: 'answer', sdp: message.data.sdp });
+        } catch (error) {
+            console.error('Error handling answer:', error);
+            if (this.isCalling) {
+                this.showNotification('Failed to establish connection', 'error');
+                this.cancelOutgoingCall('Invalid answer');
+            }
+        }
+    }
+
+    handleConnectionInterrupted(state) {
+        if (!this.isConnected) {
+            if (state === 'failed') {
+                this.handleConnectionFailure();
+            }
+            return;
+        }
+
+        if (!this.reconnect) {
+            this.reconnect = { attempts: 0, timer: null, restarting: false };
+            this.updateStatus('Connection interrupted, waiting for it to recover...', 'connecting');
+            this.showNotification(`Connection to ${this.partnerId} interrupted. Trying to restore it...`, 'warning');
+        }
+
+        if (state === 'failed' && !this.reconnect.restarting) {
+            this.attemptIceRestart();
+        } else if (!this.reconnect.timer) {
+            this.reconnect.timer = setTimeout(() => this.attemptIceRestart(), this.reconnectPolicy.gracePeriod);
+        }
+    }
+
+    attemptIceRestart() {
+        const reconnect = this.reconnect;
+        if (!reconnect) {
+            return;
+        }
+
+        clearTimeout(reconnect.timer);
+
+        if (reconnect.attempts >= this.reconnectPolicy.maxAttempts) {
+            this.showNotification(`Could not restore the connection to ${this.partnerId}`, 'error');
+            this.dropConnection();
+            return;
+        }
+
+        reconnect.attempts++;
+        reconnect.restarting = true;
+        reconnect.timer = setTimeout(() => this.attemptIceRestart(), ICE_RESTART_TIMEOUT);
+        this.updateStatus(`Reconnecting (attempt ${reconnect.attempts} of ${this.reconnectPolicy.maxAttempts})...`, 'connecting');
+
+        if (!this.polite) {
+            this.negotiate(this.peerConnection, true);
+        }
+    }
+
+    handleConnectionRestored() {
+        if (!this.reconnect) {
+            return;
+        }
+
+        clearTimeout(this.reconnect.timer);
+        this.reconnect = null;
+        this.updateConnectedStatus();
+        this.showNotification('Connection restored', 'success');
+    }
+
+    dropConnection(notifyPeer = true) {
+        if (notifyPeer) {
+            this.sendSignal('hangup', { reason: 'Connection lost' });
+        }
+
+        const peerConnection = this.peerConnection;
+        const dataChannel = this.dataChannel;
+
+        this.handleDisconnection();
+        if (dataChannel) {
+            dataChannel.close();
+        }
+        if (peerConnection) {
+            peerConnection.close();
+        }
+    }
+
+    canUseServerRelay() {
+        return this.allowRelayToggle.checked && this.serverRelayAvailable && !this.relay && !this.room &&
+            Boolean(this.partnerId && this.peerConnection && this.peerConnection.remoteDescription);
+    }
+
+    startRelay() {
+        const partnerId = this.partnerId;
+        const peerConnection = this.peerConnection;
+
+        this.clearConnectionTimeout();
+        this.relay = {
+            peerId: partnerId,
+            channel: this.createRelayChannel(partnerId),
+            timer: setTimeout(() => {
+                this.showNotification(`${partnerId} did not accept a relayed connection`, 'error');
+                this.dropConnection();
+            }, RELAY_JOIN_TIMEOUT)
+        };
+        this.peerConnection = null;
+        this.dataChannel = this.relay.channel;
+        this.setupDataChannel();
+        peerConnection.close();
+
+        this.updateStatus('Direct connection failed, trying to relay through the server...', 'connecting');
+        this.socket.emit('relayJoin', partnerId);
+    }
+
+    createRelayChannel(peerId) {
+        const channel = new EventTarget();
+        const pending = [];
+        let inFlight = 0;
+
+        const dispatch = (event) => {
+            const handler = channel[`on${event.type}`];
+            if (handler) {
+                handler(event);
+            }
+            channel.dispatchEvent(event);
+        };
+
+        const pump = () => {
+            while (pending.length > 0 && inFlight < RELAY_WINDOW && channel.readyState === 'open') {
+                const { data, size } = pending.shift();
+                inFlight += size;
+                this.socket.emit('relayData', { to: peerId, data: data }, (response) => {
+                    if (response && response.error) {
+                        console.error('Relay refused data:', response.error);
+                        dispatch(new Event('error'));
+                        channel.close();
+                        return;
+                    }
+
+                    const wasAboveThreshold = channel.bufferedAmount > channel.bufferedAmountLowThreshold;
+                    inFlight -= size;
+                    channel.bufferedAmount -= size;
+                    channel.bytesSent += size;
+                    if (wasAboveThreshold && channel.bufferedAmount <= channel.bufferedAmountLowThreshold) {
+                        dispatch(new Event('bufferedamountlow'));
+                    }
+                    pump();
+                });
+            }
+        };
+
+        return Object.assign(channel, {
+            label: 'relay',
+            readyState: 'connecting',
+            bufferedAmount: 0,
+            bufferedAmountLowThreshold: 0,
+            bytesSent: 0,
+            bytesReceived: 0,
+            binaryType: 'arraybuffer',
+            onopen: null,
+            onmessage: null,
+            onclose: null,
+            onerror: null,
+            send: (data) => {
+                if (channel.readyState !== 'open') {
+                    throw new Error('Relay channel is not open');
+                }
+                const size = typeof data === 'string' ? data.length : data.byteLength;
+                channel.bufferedAmount += size;
+                pending.push({ data, size });
+                pump();
+            },
+            open: () => {
+                channel.readyState = 'open';
+                dispatch(new Event('open'));
+            },
+            receive: (data) => {
+                if (channel.readyState === 'open') {
+                    channel.bytesReceived += typeof data === 'string' ? data.length : data.byteLength;
+                    dispatch(new MessageEvent('message', { data: data }));
+                }
+            },
+            close: () => {
+                if (channel.readyState === 'closed') {
+                    return;
+                }
+                channel.readyState = 'closed';
+                pending.length = 0;
+                this.socket.emit('relayLeave');
+                setTimeout(() => dispatch(new Event('close')), 0);
+            }
+        });
+    }
+
+    handleRelayRequest(data) {
+        if (data.from !== this.partnerId || this.isConnected || this.relay) {
+            return;
+        }
+
+        if (this.canUseServerRelay()) {
+            this.startRelay();
+        } else if (!this.allowRelayToggle.checked) {
+            this.showNotification(`${data.from} cannot connect directly and asked to relay through the server. Tick "Relay through the server" to allow it.`, 'warning');
+        }
+    }
+
+    handleRelayReady(data) {
+        if (!this.relay || data.peerId !== this.relay.peerId) {
+            return;
+        }
+
+        clearTimeout(this.relay.timer);
+        this.relay.channel.open();
+    }
+
+    handleRelayData(message) {
+        if (!this.relay || message.from !== this.relay.peerId) {
+            return;
+        }
+
+        const data = message.data;
+        this.relay.channel.receive(ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data);
+    }
+
+    handleRelayClosed(data) {
+        if (this.relay && data.peerId === this.relay.peerId) {
+            this.relay.channel.close();
+        }
+    }
+
+    async fetchIceConfiguration() {
+        const relayOnly = this.relayOnlyToggle.checked;
+        let serverConfig;
+
+        try {
+            serverConfig = await this.serverRequest('getIceConfig', null, ICE_CONFIG_TIMEOUT);
+            this.serverRelayAvailable = Boolean(serverConfig.serverRelay);
+            if (serverConfig.reconnect) {
+                this.reconnectPolicy = { ...this.reconnectPolicy, ...serverConfig.reconnect };
+            }
+        } catch (error) {
+            console.error('Failed to load ICE configuration:', error);
+            if (relayOnly) {
+                throw new Error('Relay-only mode needs the server\'s TURN configuration');
+            }
+            this.showNotification('Could not load ICE configuration, using public STUN servers', 'warning');
+            serverConfig = { iceServers: DEFAULT_ICE_SERVERS, iceTransportPolicy: 'all', relayAvailable: false };
+        }
+
+        if (relayOnly && !serverConfig.relayAvailable) {
+            throw new Error('Relay-only mode is on but this server has no TURN relay configured');
+        }
+
+        return {
+            iceServers: serverConfig.iceServers,
+            iceCandidatePoolSize: 10,
+            iceTransportPolicy: relayOnly ? 'relay' : serverConfig.iceTransportPolicy,
+            bundlePolicy: 'max-bundle',
+            rtcpMuxPolicy: 'require'
+        };
+    }
+
+    joinRoom() {
+        const roomId = this.roomCodeInput.value.trim();
+
+        if (!ROOM_ID_PATTERN.test(roomId)) {
+            this.showNotification('Room codes are 4-32 letters, digits, dashes or underscores', 'error');
+            return;
+        }
+
+        if (this.partnerId || this.isConnected) {
+            this.showNotification('Disconnect from your peer before joining a room', 'error');
+            return;
+        }
+
+        if (!this.socket || !this.socket.connected) {
+            this.showNotification('Not connected to the server', 'error');
+            return;
+        }
+
+        this.socket.emit('joinRoom', roomId);
+    }
+
+    handleRoomJoined(data) {
+        if (this.room && this.room.id === data.roomId) {
+            this.room.members.forEach(member => this.closeRoomMember(member));
+            (data.members || []).forEach(memberId => this.addRoomMember(memberId, true));
+            this.renderRoomMembers();
+            return;
+        }
+
+        this.room = { id: data.roomId, members: new Map() };
+        this.roomCodeInput.value = data.roomId;
+        this.roomCodeInput.disabled = true;
+        this.roomBtn.innerHTML = '<i class="fas fa-sign-out-alt"></i> Leave';
+        this.connectBtn.disabled = true;
+
+        (data.members || []).forEach(memberId => this.addRoomMember(memberId, true));
+
+        this.renderRoomMembers();
+        this.showChatPanel();
+        this.showNotification(`Joined room ${data.roomId}`, 'success');
+    }
+
+    handleRoomMemberJoined(data) {
+        if (!this.room || data.roomId !== this.room.id || this.room.members.has(data.memberId)) {
+            return;
+        }
+
+        this.addRoomMember(data.memberId, false);
+        this.renderRoomMembers();
+        this.showNotification(`${data.memberId} joined the room`, 'info');
+    }
+
+    handleRoomMemberLeft(data) {
+        const member = this.room && data.roomId === this.room.id && this.room.members.get(data.memberId);
+        if (!member) {
+            return;
+        }
+
+        this.closeRoomMember(member);
+        this.showNotification(`${data.memberId} left the room`, 'info');
+    }
+
+    leaveRoom() {
+        const room = this.room;
+        if (!room) {
+            return;
+        }
+
+        if (this.socket) {
+            this.socket.emit('leaveRoom', room.id);
+        }
+        room.members.forEach(member => this.closeRoomMember(member));
+
+        this.room = null;
+        this.roomCodeInput.disabled = false;
+        this.roomBtn.innerHTML = '<i class="fas fa-users"></i> Join';
+        this.connectBtn.disabled = false;
+        this.renderRoomMembers();
+        this.hideChatPanel();
+        this.updateStatus('Not connected');
+        this.showNotification(`Left room ${room.id}`, 'info');
+    }
+
+    addRoomMember(memberId, initiator) {
+        const member = {
+            id: memberId,
+            initiator: initiator,
+            status: 'connecting',
+            peerConnection: null,
+            dataChannel: null,
+            pendingOffer: null,
+            pendingIceCandidates: [],
+            sessionKeyPair: null,
+            sessionReady: null,
+            resolveSession: null,
+            secureSession: null,
+            keyExchangeTimer: null,
+            sendQueue: Promise.resolve(),
+            receiveQueue: Promise.resolve(),
+            chunkSize: DEFAULT_CHUNK_SIZE,
+            outgoing: new Map(),
+            incoming: new Map()
+        };
+
+        this.room.members.set(memberId, member);
+        this.connectRoomMember(member).catch(error => {
+            console.error(`Error connecting to room member ${memberId}:`, error);
+            this.showNotification(`Could not connect to ${memberId}: ${error.message}`, 'error');
+            this.closeRoomMember(member);
+        });
+        return member;
+    }
+
+    async connectRoomMember(member) {
+        const room = this.room;
+        const configuration = await this.fetchIceConfiguration();
+
+        if (this.room !== room || member.status === 'closed') {
+            return;
+        }
+
+        const peerConnection = new RTCPeerConnection(configuration);
+        member.peerConnection = peerConnection;
+
+        peerConnection.onicecandidate = (event) => {
+            if (event.candidate) {
+                this.sendSignal('candidate', {
+                    candidate: event.candidate.toJSON ? event.candidate.toJSON() : event.candidate
+                }, member.id, room.id);
+            }
+        };
+
+        peerConnection.onconnectionstatechange = () => {
+            if (peerConnection.connectionState === 'failed' && member.status !== 'closed') {
+                this.showNotification(`Connection to ${member.id} failed`, 'error');
+                this.closeRoomMember(member);
+            }
+        };
+
+        peerConnection.ondatachannel = (event) => {
+            if (event.channel.label !== 'room') {
+                this.setupTransferChannel(event.channel, data => this.handleRoomChannelMessage(member, data));
+                return;
+            }
+            member.dataChannel = event.channel;
+            this.setupRoomChannel(member);
+        };
+
+        if (member.initiator) {
+            member.dataChannel = peerConnection.createDataChannel('room', { ordered: true });
+            this.setupRoomChannel(member);
+
+            const offer = await peerConnection.createOffer();
+            await peerConnection.setLocalDescription(offer);
+            this.sendSignal('offer', { sdp: offer.sdp }, member.id, room.id);
+        } else {
+            await this.answerRoomOffer(member);
+        }
+    }
+
+    async handleRoomSignal(message) {
+        if (!this.room || message.room !== this.room.id || message.from === this.userId) {
+            return;
+        }
+
+        let member = this.room.members.get(message.from);
+
+        try {
+            switch (message.type) {
+                case 'offer':
+                    if (!member) {
+                        member = this.addRoomMember(message.from, false);
+                        this.renderRoomMembers();
+                    }
+                    if (!member.initiator) {
+                        member.pendingOffer = message.data;
+                        await this.answerRoomOffer(member);
+                    }
+                    break;
+                case 'answer':
+                    if (member && member.initiator && member.peerConnection) {
+                        await member.peerConnection.setRemoteDescription(new RTCSessionDescription({ type: 'answer', sdp: message.data.sdp }));
+                        await this.addPendingIceCandidates(member);
+                    }
+                    break;
+                case 'candidate':
+                    if (member) {
+                        const candidate = new RTCIceCandidate(message.data.candidate);
+                        if (member.peerConnection && member.peerConnection.remoteDescription) {
+                            await member.peerConnection.addIceCandidate(candidate);
+                        } else {
+                            member.pendingIceCandidates.push(candidate);
+                        }
+                    }
+                    break;
+                case 'hangup':
+                    if (member) {
+                        this.closeRoomMember(member);
+                    }
+                    break;
+                default:
+                    console.warn('Ignoring room signal:', message.type);
+            }
+        } catch (error) {
+            console.error(`Error handling room signal from ${message.from}:`, error);
+        }
+    }
+
+    async answerRoomOffer(member) {
+        const offer = member.pendingOffer;
+        if (!offer || !member.peerConnection) {
+            return;
+        }
+
+        member.pendingOffer = null;
+        await member.peerConnection.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: offer.sdp }));
+        await this.addPendingIceCandidates(member);
+
+        const answer = await member.peerConnection.createAnswer();
+        await member.peerConnection.setLocalDescription(answer);
+        this.sendSignal('answer', { sdp: answer.sdp }, member.id, this.room.id);
+    }
+
+    setupRoomChannel(member) {
+        const channel = member.dataChannel;
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = BUFFER_LOW_WATER_MARK;
+
+        channel.onopen = () => {
+            member.chunkSize = this.negotiateChunkSize(member);
+            this.startRoomKeyExchange(member);
+        };
+
+        channel.onclose = () => {
+            if (member.dataChannel === channel && member.status !== 'closed') {
+                this.closeRoomMember(member);
+            }
+        };
+
+        channel.onerror = (error) => {
+            console.error(`Data channel error with ${member.id}:`, error);
+        };
+
+        channel.onmessage = (event) => {
+            this.handleRoomChannelMessage(member, event.data);
+        };
+    }
+
+    async startRoomKeyExchange(member) {
+        const channel = member.dataChannel;
+        member.sessionReady = new Promise(resolve => {
+            member.resolveSession = resolve;
+        });
+        member.sessionKeyPair = this.generateSessionKeyPair();
+        member.keyExchangeTimer = setTimeout(() => {
+            if (!member.secureSession) {
+                this.showNotification(`${member.id} did not complete the encryption handshake`, 'error');
+                this.closeRoomMember(member);
+            }
+        }, KEY_EXCHANGE_TIMEOUT);
+
+        try {
+            const { publicKey } = await member.sessionKeyPair;
+            const message = await this.createKeyExchangeMessage(member.id, publicKey);
+            if (channel.readyState === 'open') {
+                channel.send(message);
+            }
+        } catch (error) {
+            console.error('Error starting key exchange:', error);
+            this.closeRoomMember(member);
+        }
+    }
+
+    async handleRoomKeyExchange(member, message) {
+        if (!member.sessionKeyPair || member.secureSession) {
+            return;
+        }
+
+        if (message.version !== E2E_VERSION || typeof message.publicKey !== 'string') {
+            this.showNotification(`${member.id} does not support this version of end-to-end encryption`, 'error');
+            this.closeRoomMember(member);
+            return;
+        }
+
+        try {
+            const identityKey = await this.verifyKeyExchange(member.id, message);
+            if (member.status === 'closed') {
+                return;
+            }
+            if (!identityKey) {
+                this.showNotification(`Could not verify ${member.id}'s identity. The connection may be intercepted and has been closed.`, 'error');
+                this.closeRoomMember(member);
+                return;
+            }
+
+            const session = await this.deriveSecureSession(await member.sessionKeyPair, this.fromBase64(message.publicKey));
+            await this.bindPeerIdentity(session, member.id, identityKey);
+            if (member.status === 'closed') {
+                return;
+            }
+
+            clearTimeout(member.keyExchangeTimer);
+            member.keyExchangeTimer = null;
+            member.sessionKeyPair = null;
+            member.secureSession = session;
+            member.resolveSession(session);
+            member.status = 'connected';
+            this.renderRoomMembers();
+            if (session.identityChanged) {
+                delete this.verifiedPeers[member.id];
+                this.saveVerifiedPeers();
+                this.showNotification(`${member.id}'s identity key has changed since you verified it. Compare the safety number again before trusting this connection.`, 'warning');
+            } else {
+                this.showNotification(`Encrypted connection to ${member.id} established`, 'success');
+            }
+        } catch (error) {
+            console.error('Error completing key exchange:', error);
+            this.showNotification(`Key exchange with ${member.id} failed: ${error.message}`, 'error');
+            this.closeRoomMember(member);
+        }
+    }
+
+    handleRoomChannelMessage(member, data) {
+        if (typeof data !== 'string') {
+            this.receiveSealed(() => this.openFrame(data, member), buffer => this.handleRoomFrame(member, buffer), member);
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.error('Error parsing data channel message:', error);
+            return;
+        }
+
+        if (message.type === 'keyExchange') {
+            this.handleRoomKeyExchange(member, message);
+        } else if (message.type === 'sealed') {
+            this.receiveSealed(() => this.openControlMessage(message, member), text => this.handleRoomControlMessage(member, text), member);
+        } else {
+            console.warn('Dropping unencrypted message:', message.type);
+        }
+    }
+
+    handleRoomControlMessage(member, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.error('Error parsing control message:', error);
+            return;
+        }
+
+        switch (message.type) {
+            case 'chat':
+                this.recordChatMessage({
+                    id: typeof message.id === 'string' ? message.id : this.generateChatMessageId(),
+                    from: member.id,
+                    text: String(message.text),
+                    timestamp: new Date().toISOString()
+                });
+                break;
+            case 'fileInfo':
+                return this.handleRoomFileInfo(member, message);
+            case 'fileReady':
+                this.handleFileReady(message, member.outgoing);
+                break;
+            case 'fileDecline':
+                this.handleFileDecline(message, member.outgoing);
+                break;
+            case 'fileComplete':
+                return this.handleRoomFileComplete(member, message);
+            case 'fileAck':
+                this.handleFileAck(message, member.outgoing);
+                break;
+            case 'fileAbort':
+                this.handleRoomFileAbort(member, message);
+                break;
+            case 'filePause':
+                this.handleFilePause(message, member.incoming, member.outgoing);
+                break;
+            default:
+                console.warn('Unknown room control message type:', message.type);
+        }
+    }
+
+    closeRoomMember(member) {
+        if (member.status === 'closed') {
+            return;
+        }
+
+        member.status = 'closed';
+        clearTimeout(member.keyExchangeTimer);
+
+        member.outgoing.forEach(transfer => this.failOutgoingTransfer(transfer, new Error(`${member.id} left the room`)));
+        member.incoming.forEach(incoming => this.failRoomIncomingFile(member, incoming, `${incoming.item.name} from ${member.id} was interrupted`, 'failed', false));
+
+        const channel = member.dataChannel;
+        member.dataChannel = null;
+        if (channel) {
+            channel.close();
+        }
+        if (member.peerConnection) {
+            member.peerConnection.close();
+        }
+
+        if (this.room && this.room.members.get(member.id) === member) {
+            this.room.members.delete(member.id);
+            this.renderRoomMembers();
+        }
+    }
+
+    getConnectedRoomMembers() {
+        return this.room ? Array.from(this.room.members.values()).filter(member => member.status === 'connected') : [];
+    }
+
+    renderRoomMembers() {
+        const members = this.room ? Array.from(this.room.members.values()) : [];
+
+        this.roomMembers.innerHTML = '';
+        this.roomMembers.style.display = this.room ? 'block' : 'none';
+
+        if (this.room && members.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'room-member empty';
+            empty.textContent = 'Waiting for others to join...';
+            this.roomMembers.appendChild(empty);
+        }
+
+        members.forEach(member => {
+            const entry = document.createElement('li');
+            entry.className = `room-member ${member.status}`;
+
+            const name = document.createElement('span');
+            name.className = 'room-member-id';
+            name.textContent = member.id;
+            entry.appendChild(name);
+
+            const status = document.createElement('span');
+            status.className = 'room-member-status';
+            status.textContent = member.status === 'connected' ? 'Connected' : 'Connecting...';
+            entry.appendChild(status);
+
+            if (member.secureSession) {
+                const safetyNumber = document.createElement('code');
+                safetyNumber.title = member.secureSession.verified
+                    ? `Safety number with ${member.id} (verified)`
+                    : `Safety number with ${member.id}`;
+                safetyNumber.textContent = member.secureSession.safetyNumber;
+                entry.appendChild(safetyNumber);
+            }
+
+            this.roomMembers.appendChild(entry);
+        });
+
+        if (this.room) {
+            const connected = this.getConnectedRoomMembers().length;
+            this.updateStatus(`In room ${this.room.id} (${connected} of ${members.length} connected)`, 'connected');
+        }
+        this.updateRecipientOptions();
+    }
+
+    updateRecipientOptions() {
+        const selected = this.recipientSelect.value;
+        const members = this.getConnectedRoomMembers();
+
+        this.recipientSelect.innerHTML = '';
+        this.recipientSelect.appendChild(new Option('Everyone in the room', ''));
+        members.forEach(member => this.recipientSelect.appendChild(new Option(member.id, member.id)));
+        this.recipientSelect.value = members.some(member => member.id === selected) ? selected : '';
+        this.recipientSelect.style.display = this.room ? 'block' : 'none';
+    }
+
+    sendRoomChatMessage(text) {
+        const members = this.getConnectedRoomMembers();
+        if (members.length === 0) {
+            this.showNotification('No room members are connected yet', 'error');
+            return;
+        }
+
+        const message = {
+            type: 'chat',
+            id: this.generateChatMessageId(),
+            text: text,
+            timestamp: new Date().toISOString()
+        };
+
+        this.recordChatMessage({ id: message.id, from: 'me', text: text, timestamp: message.timestamp });
+        members.forEach(member => {
+            try {
+                this.sendControlMessage(message, member);
+            } catch (error) {
+                console.error(`Error sending chat message to ${member.id}:`, error);
+            }
+        });
+        this.messageInput.value = '';
+    }
+
+    async processRoomSendQueue() {
+        if (this.queueRunning) {
+            return;
+        }
+
+        const recipientId = this.recipientSelect.value;
+        const recipients = this.getConnectedRoomMembers().filter(member => !recipientId || member.id === recipientId);
+        if (recipients.length === 0) {
+            this.showNotification('No room members are connected yet', 'error');
+            return;
+        }
+
+        await this.runSendQueue(() => Boolean(this.room), async (item) => {
+            this.removeTransferItem(item);
+            const results = await Promise.all(recipients
+                .filter(member => member.status === 'connected')
+                .map(member => this.sendRoomFile(member, this.createTransferItem('outgoing', { ...item, peerId: member.id }))));
+            return results.filter(Boolean).length;
+        });
+    }
+
+    async sendRoomFile(member, item) {
+        const file = item.file;
+        const transfer = {
+            transferId: this.generateTransferId(),
+            file: file,
+            item: item,
+            member: member,
+            link: member,
+            channel: member.dataChannel,
+            chunkSize: member.chunkSize,
+            totalChunks: Math.ceil(file.size / member.chunkSize),
+            chunkHashes: this.chunkHashToggle.checked,
+            chunkDigests: [],
+            ready: false,
+            cancelled: false,
+            paused: false
+        };
+        item.transfer = transfer;
+        member.outgoing.set(transfer.transferId, transfer);
+
+        try {
+            this.setItemStatus(item, 'waiting');
+            this.sendControlMessage(this.createFileInfoMessage(transfer), member);
+            if (!transfer.ready) {
+                await this.waitForReceiver(transfer);
+            }
+
+            transfer.transferChannel = await this.openTransferChannel(member, transfer.transferId);
+            this.setItemStatus(item, this.getSendingStatus(transfer));
+            await this.sendChunks(transfer, this.range(transfer.totalChunks), 0, (sent) => {
+                this.updateItemProgress(item, sent / transfer.totalChunks * 100);
+            });
+
+            await this.sendFileComplete(transfer);
+            this.setItemStatus(item, 'verifying');
+            await this.waitForReceiver(transfer);
+
+            this.setItemStatus(item, 'done');
+            return true;
+        } catch (error) {
+            if (transfer.declined) {
+                this.setItemStatus(item, 'declined');
+                this.showNotification(`${member.id} declined ${item.relativePath}: ${error.message}`, 'warning');
+            } else if (transfer.peerCancelled) {
+                this.setItemStatus(item, 'cancelled');
+                this.showNotification(`${member.id} cancelled ${item.relativePath}`, 'warning');
+            } else if (!transfer.cancelled) {
+                console.error('Error sending file:', error);
+                this.setItemStatus(item, 'failed');
+                this.showNotification(`Failed to send ${item.relativePath} to ${member.id}: ${error.message}`, 'error');
+            }
+            return false;
+        } finally {
+            member.outgoing.delete(transfer.transferId);
+            this.closeTransferChannel(transfer);
+        }
+    }
+
+    async handleRoomFileInfo(member, data) {
+        if (!Number.isInteger(data.transferId) || !Number.isInteger(data.totalChunks) || data.totalChunks < 0) {
+            console.error('Invalid file info:', data);
+            return;
+        }
+
+        const relativePath = this.sanitizeRelativePath(data.relativePath, data.fileName);
+        const incoming = {
+            info: data,
+            sink: null,
+            chunkDigests: new Array(data.totalChunks),
+            receivedChunkCount: 0,
+            paused: false,
+            peerPaused: false,
+            item: this.createTransferItem('incoming', {
+                name: relativePath.split('/').pop(),
+                relativePath: relativePath,
+                size: data.fileSize,
+                type: data.fileType,
+                transferId: data.transferId,
+                peerId: member.id
+            })
+        };
+        member.incoming.set(data.transferId, incoming);
+
+        this.applyFilePolicy(incoming.item, member.id, data,
+            () => this.openRoomFileSink(member, incoming),
+            (reason) => this.declineRoomIncomingFile(member, incoming, reason));
+    }
+
+    async openRoomFileSink(member, incoming) {
+        const transferId = incoming.info.transferId;
+        if (member.incoming.get(transferId) !== incoming) {
+            return;
+        }
+
+        try {
+            const sink = await this.openFileSink(incoming.info);
+            if (member.incoming.get(transferId) !== incoming) {
+                this.discardFileSink(sink);
+                return;
+            }
+            incoming.sink = sink;
+            this.setItemStatus(incoming.item, 'receiving');
+            this.sendControlMessage({ type: 'fileReady', transferId: transferId }, member);
+        } catch (error) {
+            this.failRoomIncomingFile(member, incoming, 'Could not save file: ' + error.message);
+        }
+    }
+
+    declineRoomIncomingFile(member, incoming, reason) {
+        const transferId = incoming.info.transferId;
+        if (member.incoming.get(transferId) !== incoming) {
+            return;
+        }
+
+        member.incoming.delete(transferId);
+        this.setItemStatus(incoming.item, 'declined');
+
+        try {
+            this.sendControlMessage({ type: 'fileDecline', transferId: transferId, reason: reason }, member);
+        } catch (error) {
+            console.error('Error declining file:', error);
+        }
+    }
+
+    async handleRoomFrame(member, buffer) {
+        let frame;
+        try {
+            frame = this.decodeChunkFrame(buffer);
+        } catch (error) {
+            console.error('Error decoding chunk frame:', error);
+            return;
+        }
+
+        const incoming = member.incoming.get(frame.transferId);
+        if (!incoming || !incoming.sink || frame.chunkIndex >= incoming.info.totalChunks || incoming.chunkDigests[frame.chunkIndex]) {
+            return;
+        }
+
+        const digest = await this.sha256(frame.payload);
+        const expectsChunkHash = incoming.info.integrity && incoming.info.integrity.chunkHashes;
+        if (expectsChunkHash && (!frame.chunkHash || !this.digestsEqual(digest, frame.chunkHash))) {
+            this.failRoomIncomingFile(member, incoming, `Integrity check failed: chunk ${frame.chunkIndex} of ${incoming.item.name} is corrupt`);
+            return;
+        }
+
+        try {
+            await incoming.sink.write(frame.chunkIndex, frame.payload);
+        } catch (error) {
+            this.failRoomIncomingFile(member, incoming, 'Could not save file: ' + error.message);
+            return;
+        }
+
+        incoming.chunkDigests[frame.chunkIndex] = digest;
+        incoming.receivedChunkCount++;
+        this.updateItemProgress(incoming.item, incoming.receivedChunkCount / incoming.info.totalChunks * 100);
+    }
+
+    async handleRoomFileComplete(member, data) {
+        const incoming = member.incoming.get(data.transferId);
+        if (!incoming || !incoming.sink) {
+            return;
+        }
+
+        if (incoming.receivedChunkCount !== incoming.info.totalChunks) {
+            this.failRoomIncomingFile(member, incoming, `${incoming.item.name} is incomplete: chunks are missing`);
+            return;
+        }
+
+        this.setItemStatus(incoming.item, 'verifying');
+        const fileHash = await this.hashChunkDigests(incoming.chunkDigests);
+        if (fileHash !== data.fileHash) {
+            this.failRoomIncomingFile(member, incoming, 'Integrity check failed: hash of chunk hashes does not match the sender\'s');
+            return;
+        }
+
+        const item = incoming.item;
+        item.chunkHashDigest = fileHash;
+        try {
+            item.blob = await incoming.sink.close();
+            item.removeFile = incoming.sink.remove;
+        } catch (error) {
+            this.failRoomIncomingFile(member, incoming, 'Could not save file: ' + error.message);
+            return;
+        }
+
+        member.incoming.delete(data.transferId);
+        this.sendControlMessage({ type: 'fileAck', transferId: data.transferId }, member);
+        this.updateItemProgress(item, 100);
+        this.setItemStatus(item, 'done');
+        this.showNotification(`${item.name} from ${member.id} received and verified!`, 'success');
+    }
+
+    handleRoomFileAbort(member, data) {
+        const incoming = member.incoming.get(data.transferId);
+        if (incoming) {
+            this.failRoomIncomingFile(member, incoming, `${member.id} aborted the transfer: ${data.reason}`, 'cancelled', false);
+            return;
+        }
+
+        const transfer = member.outgoing.get(data.transferId);
+        if (transfer) {
+            transfer.peerCancelled = data.cancelled === true;
+            this.failOutgoingTransfer(transfer, new Error(data.reason || 'Receiver aborted the transfer'));
+        }
+    }
+
+    failRoomIncomingFile(member, incoming, message, status = 'failed', notifyPeer = true) {
+        member.incoming.delete(incoming.info.transferId);
+        if (incoming.sink) {
+            this.discardFileSink(incoming.sink);
+        }
+
+        if (notifyPeer && member.dataChannel && member.dataChannel.readyState === 'open') {
+            this.sendControlMessage({ type: 'fileAbort', transferId: incoming.info.transferId, reason: 'Receiver could not accept the file' }, member);
+        }
+
+        this.setItemStatus(incoming.item, status);
+        this.showNotification(message, status === 'cancelled' ? 'warning' : 'error');
+    }
+
+    handleDataChannelMessage(data) {
+        if (typeof data !== 'string') {
+            this.receiveSealed(() => this.openFrame(data), buffer => this.handleBinaryFrame(buffer));
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.error('Error parsing data channel message:', error);
+            return;
+        }
+
+        if (message.type === 'keyExchange') {
+            this.handleKeyExchange(message);
+        } else if (message.type === 'sealed') {
+            this.receiveSealed(() => this.openControlMessage(message), text => this.handleControlMessage(text));
+        } else {
+            console.warn('Dropping unencrypted message:', message.type);
+        }
+    }
+
+    receiveSealed(open, handle, link = this) {
+        link.receiveQueue = link.receiveQueue
+            .then(open)
+            .then(handle)
+            .catch(error => {
+                console.error('Error opening encrypted message:', error);
+            });
+    }
+
+    async startKeyExchange() {
+        const channel = this.dataChannel;
+        this.secureSession = null;
+        this.sessionReady = new Promise(resolve => {
+            this.resolveSession = resolve;
+        });
+        this.sessionKeyPair = this.generateSessionKeyPair();
+        this.keyExchangeTimer = setTimeout(() => this.handleKeyExchangeTimeout(), KEY_EXCHANGE_TIMEOUT);
+
+        try {
+            const { publicKey } = await this.sessionKeyPair;
+            const message = await this.createKeyExchangeMessage(this.partnerId, publicKey);
+            if (channel.readyState === 'open') {
+                channel.send(message);
+            }
+        } catch (error) {
+            console.error('Error starting key exchange:', error);
+            this.showNotification('Could not set up encryption: ' + error.message, 'error');
+            this.terminateConnection();
+        }
+    }
+
+    async createKeyExchangeMessage(peerId, publicKey) {
+        const encodedKey = this.toBase64(publicKey);
+
+        return JSON.stringify({
+            type: 'keyExchange',
+            version: E2E_VERSION,
+            publicKey: encodedKey,
+            identityKey: this.toBase64(this.identity.publicKey),
+            signature: await this.signText(`${E2E_CONTEXT}:${this.userId}:${peerId}:${encodedKey}`)
+        });
+    }
+
+    async verifyKeyExchange(peerId, message) {
+        if (typeof message.identityKey !== 'string' || typeof message.signature !== 'string') {
+            return null;
+        }
+
+        const identityKey = this.fromBase64(message.identityKey);
+        if (await this.deriveUserId(identityKey) !== peerId ||
+            !(await this.verifySignedText(identityKey, message.signature, `${E2E_CONTEXT}:${peerId}:${this.userId}:${message.publicKey}`))) {
+            return null;
+        }
+
+        return identityKey;
+    }
+
+    async generateSessionKeyPair() {
+        const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+        const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+        return { privateKey: keyPair.privateKey, publicKey: publicKey };
+    }
+
+    async handleKeyExchange(message) {
+        if (!this.sessionKeyPair || this.secureSession) {
+            return;
+        }
+
+        if (message.version !== E2E_VERSION || typeof message.publicKey !== 'string') {
+            this.showNotification('Peer does not support this version of end-to-end encryption', 'error');
+            this.terminateConnection();
+            return;
+        }
+
+        const channel = this.dataChannel;
+        try {
+            const identityKey = await this.verifyKeyExchange(this.partnerId, message);
+            if (channel !== this.dataChannel) {
+                return;
+            }
+            if (!identityKey) {
+                this.showNotification(`Could not verify ${this.partnerId}'s identity. The connection may be intercepted and has been closed.`, 'error');
+                this.terminateConnection();
+                return;
+            }
+
+            const session = await this.deriveSecureSession(await this.sessionKeyPair, this.fromBase64(message.publicKey));
+            await this.bindPeerIdentity(session, this.partnerId, identityKey);
+            if (channel !== this.dataChannel) {
+                return;
+            }
+            this.establishSecureSession(session);
+        } catch (error) {
+            console.error('Error completing key exchange:', error);
+            this.showNotification('Key exchange failed: ' + error.message, 'error');
+            this.terminateConnection();
+        }
+    }
+
+    async deriveSecureSession(localKey, peerPublicKey) {
+        const peerKey = await crypto.subtle.importKey('raw', peerPublicKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+        const sharedSecret = await crypto.subtle.deriveBits({ name: 'ECDH', public: peerKey }, localKey.privateKey, 256);
+        const baseKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey', 'deriveBits']);
+
+        const localFirst = this.compareBytes(localKey.publicKey, peerPublicKey) < 0;
+        const transcript = localFirst
+            ? this.concatBytes(localKey.publicKey, peerPublicKey)
+            : this.concatBytes(peerPublicKey, localKey.publicKey);
+        const salt = await this.sha256(transcript);
+        const encoder = new TextEncoder();
+        const hkdf = (label) => ({ name: 'HKDF', hash: 'SHA-256', salt: salt, info: encoder.encode(`sovereignshare e2e v${E2E_VERSION} ${label}`) });
+        const deriveKey = (label) => crypto.subtle.deriveKey(hkdf(label), baseKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+        const firstKey = await deriveKey('first');
+        const secondKey = await deriveKey('second');
+
+        return {
+            sendKey: localFirst ? firstKey : secondKey,
+            receiveKey: localFirst ? secondKey : firstKey,
+            safetyNumber: null,
+            verified: false
+        };
+    }
+
+    async bindPeerIdentity(session, peerId, identityKey) {
+        const localKey = this.identity.publicKey;
+        const ordered = this.compareBytes(localKey, identityKey) < 0
+            ? this.concatBytes(localKey, identityKey)
+            : this.concatBytes(identityKey, localKey);
+        const safetyBytes = new DataView((await this.sha256(this.concatBytes(new TextEncoder().encode(SAFETY_NUMBER_CONTEXT), ordered))).buffer);
+        const fingerprint = this.toHex(await this.sha256(identityKey));
+
+        session.peerIdentityKey = identityKey;
+        session.peerFingerprint = fingerprint;
+        session.safetyNumber = [0, 4, 8, 12].map(offset => String(safetyBytes.getUint32(offset) % 10000).padStart(4, '0')).join(' ');
+        session.verified = this.verifiedPeers[peerId] === fingerprint;
+        session.identityChanged = Boolean(this.verifiedPeers[peerId]) && !session.verified;
+    }
+
+    establishSecureSession(session) {
+        clearTimeout(this.keyExchangeTimer);
+        this.keyExchangeTimer = null;
+        this.sessionKeyPair = null;
+        this.secureSession = session;
+        this.resolveSession(session);
+
+        this.isConnected = true;
+        this.updateConnectedStatus();
+        this.showSecurityInfo();
+        this.showChatPanel();
+        this.openConversation(this.partnerId);
+        if (session.identityChanged) {
+            delete this.verifiedPeers[this.partnerId];
+            this.saveVerifiedPeers();
+            this.showNotification(`${this.partnerId}'s identity key has changed since you verified it. Compare the safety number again before trusting this connection.`, 'warning');
+        } else if (session.verified) {
+            this.showNotification(`Encrypted connection established with ${this.partnerId}, whose safety number you verified before.`, 'success');
+        } else {
+            this.showNotification('Encrypted connection established. Compare the safety number with your peer.', 'success');
+        }
+        this.offerTransferResumes();
+    }
+
+    handleKeyExchangeTimeout() {
+        this.keyExchangeTimer = null;
+        if (!this.secureSession) {
+            this.showNotification('Peer did not complete the encryption handshake', 'error');
+            this.terminateConnection();
+        }
+    }
+
+    showSecurityInfo() {
+        const session = this.secureSession;
+        this.safetyNumber.textContent = session.safetyNumber;
+        this.verificationStatus.textContent = session.verified ? 'Verified' : 'Not verified';
+        this.securityInfo.classList.toggle('verified', session.verified);
+        this.confirmSafetyBtn.style.display = session.verified ? 'none' : 'inline-flex';
+        this.rejectSafetyBtn.style.display = session.verified ? 'none' : 'inline-flex';
+        this.securityInfo.style.display = 'flex';
+    }
+
+    hideSecurityInfo() {
+        this.securityInfo.style.display = 'none';
+        this.safetyNumber.textContent = '';
+    }
+
+    confirmSafetyNumber() {
+        if (!this.secureSession) {
+            return;
+        }
+
+        this.secureSession.verified = true;
+        this.verifiedPeers[this.partnerId] = this.secureSession.peerFingerprint;
+        this.saveVerifiedPeers();
+        this.showSecurityInfo();
+        this.showNotification('Safety number verified', 'success');
+    }
+
+    rejectSafetyNumber() {
+        if (this.verifiedPeers[this.partnerId]) {
+            delete this.verifiedPeers[this.partnerId];
+            this.saveVerifiedPeers();
+        }
+        this.showNotification('Safety numbers did not match. The connection may be intercepted and has been closed.', 'error');
+        this.terminateConnection();
+    }
+
+    transmit(channel, data, link = this) {
+        const sent = link.sendQueue.then(async () => {
+            const sealed = typeof data === 'string' ? await this.sealControlMessage(data, link) : await this.sealFrame(data, link);
+            if (channel.readyState !== 'open') {
+                throw new Error('Data channel closed while sending');
+            }
+            channel.send(sealed);
+        });
+        link.sendQueue = sent.catch(() => {});
+        return sent;
+    }
+
+    async sealControlMessage(text, link = this) {
+        const session = await link.sessionReady;
+        const iv = crypto.getRandomValues(new Uint8Array(E2E_IV_SIZE));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, session.sendKey, new TextEncoder().encode(text));
+
+        return JSON.stringify({
+            type: 'sealed',
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(ciphertext))
+        });
+    }
+
+    async openControlMessage(message, link = this) {
+        const session = await link.sessionReady;
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(message.iv) },
+            session.receiveKey,
+            this.fromBase64(message.data)
+        );
+        return new TextDecoder().decode(plaintext);
+    }
+
+    async sealFrame(frame, link = this) {
+        const session = await link.sessionReady;
+        const header = new Uint8Array(frame.slice(0, FRAME_HEADER_SIZE));
+        header[1] |= FRAME_FLAG_ENCRYPTED;
+
+        const iv = crypto.getRandomValues(new Uint8Array(E2E_IV_SIZE));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: header },
+            session.sendKey,
+            new Uint8Array(frame, FRAME_HEADER_SIZE)
+        );
+
+        const sealed = new Uint8Array(FRAME_HEADER_SIZE + E2E_IV_SIZE + ciphertext.byteLength);
+        sealed.set(header, 0);
+        sealed.set(iv, FRAME_HEADER_SIZE);
+        sealed.set(new Uint8Array(ciphertext), FRAME_HEADER_SIZE + E2E_IV_SIZE);
+        return sealed.buffer;
+    }
+
+    async openFrame(buffer, link = this) {
+        if (buffer.byteLength < FRAME_HEADER_SIZE + E2E_IV_SIZE + E2E_TAG_SIZE) {
+            throw new Error('Encrypted frame is too short');
+        }
+
+        const header = new Uint8Array(buffer, 0, FRAME_HEADER_SIZE);
+        if (!(header[1] & FRAME_FLAG_ENCRYPTED)) {
+            throw new Error('Dropping unencrypted chunk frame');
+        }
+
+        const session = await link.sessionReady;
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: new Uint8Array(buffer, FRAME_HEADER_SIZE, E2E_IV_SIZE), additionalData: header },
+            session.receiveKey,
+            new Uint8Array(buffer, FRAME_HEADER_SIZE + E2E_IV_SIZE)
+        );
+
+        const frame = new Uint8Array(FRAME_HEADER_SIZE + plaintext.byteLength);
+        frame.set(header, 0);
+        frame.set(new Uint8Array(plaintext), FRAME_HEADER_SIZE);
+        return frame.buffer;
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    concatBytes(a, b) {
+        const bytes = new Uint8Array(a.length + b.length);
+        bytes.set(a, 0);
+        bytes.set(b, a.length);
+        return bytes;
+    }
+
+    compareBytes(a, b) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            if (a[i] !== b[i]) {
+                return a[i] - b[i];
+            }
+        }
+        return a.length - b.length;
+    }
+
+    handleControlMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.error('Error parsing control message:', error);
+            return;
+        }
+
+        switch (message.type) {
+            case 'chat':
+                this.handleChatMessage(message);
+                break;
+            case 'chatReceipt':
+                this.handleChatReceipt(message);
+                break;
+            case 'typing':
+                this.handleTypingMessage(message);
+                break;
+            case 'fileInfo':
+                this.enqueueIncoming(() => this.handleFileInfo(message));
+                break;
+            case 'fileReady':
+                this.handleFileReady(message);
+                break;
+            case 'fileDecline':
+                this.handleFileDecline(message);
+                break;
+            case 'fileComplete':
+                this.enqueueIncoming(() => this.handleFileComplete(message));
+                break;
+            case 'chunkNack':
+                this.handleChunkNack(message);
+                break;
+            case 'fileAck':
+                this.handleFileAck(message);
+                break;
+            case 'fileAbort':
+                this.handleFileAbort(message);
+                break;
+            case 'filePause':
+                this.handleFilePause(message);
+                break;
+            case 'resumeOffer':
+                this.enqueueIncoming(() => this.handleResumeOffer(message));
+                break;
+            case 'resumeRequest':
+                this.handleResumeRequest(message);
+                break;
+            case 'resumeReject':
+                this.handleResumeReject(message);
+                break;
+            default:
+                console.warn('Unknown control message type:', message.type);
+        }
+    }
+
+    handleBinaryFrame(buffer) {
+        let frame;
+        try {
+            frame = this.decodeChunkFrame(buffer);
+        } catch (error) {
+            console.error('Error decoding chunk frame:', error);
+            return;
+        }
+
+        this.enqueueIncoming(() => this.handleFileChunk(frame));
+    }
+
+    enqueueIncoming(task) {
+        this.incomingQueue = this.incomingQueue.then(task).catch(error => {
+            console.error('Error processing incoming file data:', error);
+        });
+        return this.incomingQueue;
+    }
+
+    sendControlMessage(message, link = this, channel = link.dataChannel) {
+        if (!channel || channel.readyState !== 'open') {
+            throw new Error('Data channel is not open');
+        }
+
+        this.transmit(channel, JSON.stringify(message), link).catch(error => {
+            console.error('Error sending control message:', error);
+        });
+    }
+
+    encodeChunkFrame(transferId, chunkIndex, flags, payload, chunkHash = null) {
+        const hashSize = chunkHash ? CHUNK_HASH_SIZE : 0;
+        const frame = new Uint8Array(FRAME_HEADER_SIZE + hashSize + payload.byteLength);
+        const view = new DataView(frame.buffer);
+
+        view.setUint8(0, FRAME_VERSION);
+        view.setUint8(1, chunkHash ? flags | FRAME_FLAG_CHUNK_HASH : flags);
+        view.setUint32(2, transferId);
+        view.setUint32(6, chunkIndex);
+        if (chunkHash) {
+            frame.set(chunkHash, FRAME_HEADER_SIZE);
+        }
+        frame.set(new Uint8Array(payload), FRAME_HEADER_SIZE + hashSize);
+
+        return frame.buffer;
+    }
+
+    decodeChunkFrame(buffer) {
+        if (buffer.byteLength < FRAME_HEADER_SIZE) {
+            throw new Error('Chunk frame is shorter than its header');
+        }
+
+        const view = new DataView(buffer);
+        const version = view.getUint8(0);
+        if (version !== FRAME_VERSION) {
+            throw new Error(`Unsupported chunk frame version: ${version}`);
+        }
+
+        const flags = view.getUint8(1);
+        const hashSize = flags & FRAME_FLAG_CHUNK_HASH ? CHUNK_HASH_SIZE : 0;
+        if (buffer.byteLength < FRAME_HEADER_SIZE + hashSize) {
+            throw new Error('Chunk frame is shorter than its chunk hash');
+        }
+
+        return {
+            flags: flags,
+            transferId: view.getUint32(2),
+            chunkIndex: view.getUint32(6),
+            chunkHash: hashSize ? new Uint8Array(buffer, FRAME_HEADER_SIZE, hashSize) : null,
+            payload: new Uint8Array(buffer, FRAME_HEADER_SIZE + hashSize)
+        };
+    }
+
+    generateTransferId() {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+
+    async sha256(data) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    }
+
+    async hashChunkDigests(chunkDigests) {
+        const concatenated = new Uint8Array(chunkDigests.length * CHUNK_HASH_SIZE);
+        chunkDigests.forEach((digest, index) => concatenated.set(digest, index * CHUNK_HASH_SIZE));
+        return this.toHex(await this.sha256(concatenated));
+    }
+
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    digestsEqual(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a[i] ^ b[i];
+        }
+        return difference === 0;
+    }
+
+    handleChatMessage(data) {
+        this.hideTypingIndicator();
+
+        if (typeof data.id === 'string' && this.chatLog.some(entry => entry.id === data.id)) {
+            return;
+        }
+
+        this.recordChatMessage({
+            id: typeof data.id === 'string' ? data.id : this.generateChatMessageId(),
+            from: this.partnerId,
+            text: String(data.text),
+            timestamp: new Date().toISOString()
+        });
+
+        if (typeof data.id === 'string') {
+            this.acknowledgeChatMessage(data.id);
+        }
+    }
+
+    handleChatReceipt(data) {
+        if (!Array.isArray(data.ids) || !['delivered', 'read'].includes(data.status)) {
+            return;
+        }
+
+        this.updateChatStatus(data.ids, data.status);
+    }
+
+    handleTypingMessage(data) {
+        if (data.typing) {
+            this.typingIndicator.textContent = `${this.getContactLabel(this.partnerId)} is typing...`;
+            this.typingIndicator.style.display = 'block';
+        } else {
+            this.hideTypingIndicator();
+        }
+    }
+
+    handleFileInfo(data) {
+        if (!Number.isInteger(data.transferId) || !Number.isInteger(data.totalChunks) || data.totalChunks < 0) {
+            console.error('Invalid file info:', data);
+            return;
+        }
+
+        if (this.incomingTransfers.has(data.transferId)) {
+            console.warn('Ignoring duplicate file info:', data.transferId);
+            return;
+        }
+
+        const incoming = this.createIncomingTransfer(data, this.sanitizeRelativePath(data.relativePath, data.fileName));
+        this.incomingTransfers.set(data.transferId, incoming);
+
+        this.applyFilePolicy(incoming.item, this.partnerId, data, () => {
+            if (this.isCurrentIncoming(incoming)) {
+                this.persistIncomingTransfer(incoming);
+                this.prepareFileSink(incoming);
+            }
+        }, (reason) => this.declineIncomingFile(incoming, reason));
+    }
+
+    createIncomingTransfer(info, relativePath) {
+        return {
+            info: info,
+            item: this.createTransferItem('incoming', {
+                name: relativePath.split('/').pop(),
+                relativePath: relativePath,
+                size: info.fileSize,
+                type: info.fileType,
+                transferId: info.transferId
+            }),
+            sink: null,
+            receivedChunks: new Uint8Array(info.totalChunks),
+            chunkDigests: new Array(info.totalChunks),
+            corruptChunks: new Set(),
+            receivedChunkCount: 0,
+            nackRounds: 0,
+            paused: false,
+            peerPaused: false,
+            retransmitTimer: null,
+            persistTimer: null,
+            committedAt: 0
+        };
+    }
+
+    isCurrentIncoming(incoming) {
+        return this.incomingTransfers.get(incoming.info.transferId) === incoming;
+    }
+
+    declineIncomingFile(incoming, reason) {
+        if (!this.isCurrentIncoming(incoming)) {
+            return;
+        }
+
+        this.incomingTransfers.delete(incoming.info.transferId);
+        this.setItemStatus(incoming.item, 'declined');
+        this.updateConnectedStatus();
+
+        try {
+            this.sendControlMessage({ type: 'fileDecline', transferId: incoming.info.transferId, reason: reason });
+        } catch (error) {
+            console.error('Error declining file:', error);
+        }
+    }
+
+    prepareFileSink(incoming) {
+        const item = incoming.item;
+
+        if (window.showSaveFilePicker && this.saveLocationToggle.checked) {
+            this.setItemStatus(item, 'awaiting');
+            this.updateStatus(`Choose where to save ${item.relativePath}`, 'info');
+            this.showNotification(`${item.name} is ready to receive. Choose where to save it.`, 'info');
+            return;
+        }
+
+        this.attachFileSink(incoming, this.openFileSink(incoming.info));
+    }
+
+    async chooseSaveLocation(item) {
+        const incoming = this.incomingTransfers.get(item.transferId);
+        if (!incoming || incoming.item !== item || incoming.sink) {
+            return;
+        }
+
+        let sink;
+        try {
+            const handle = await window.showSaveFilePicker({ suggestedName: item.name });
+            sink = await this.createWritableSink('picker', incoming.info, handle, null);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error opening save location:', error);
+                this.showNotification('Could not write to that location, keeping the file in the browser instead', 'warning');
+            }
+            sink = this.openFileSink(incoming.info);
+        }
+
+        this.attachFileSink(incoming, sink);
+    }
+
+    async attachFileSink(incoming, sinkPromise) {
+        const { info, item } = incoming;
+
+        let sink;
+        try {
+            sink = await sinkPromise;
+        } catch (error) {
+            console.error('Error preparing file storage:', error);
+            if (this.isCurrentIncoming(incoming)) {
+                this.sendControlMessage({ type: 'fileAbort', transferId: info.transferId, reason: 'Receiver could not store the file' });
+                this.failIncomingFile(incoming, 'Could not store incoming file: ' + error.message);
+            }
+            return;
+        }
+
+        if (!this.isCurrentIncoming(incoming) || incoming.sink) {
+            sink.abort();
+            return;
+        }
+
+        incoming.sink = sink;
+        item.sinkKind = sink.kind;
+        this.persistIncomingTransfer(incoming);
+        this.setItemStatus(item, 'receiving');
+        this.updateStatus(`Receiving ${item.relativePath}...`, 'info');
+        this.sendControlMessage({ type: 'fileReady', transferId: info.transferId });
+    }
+
+    async openFileSink(info) {
+        if (this.isStoredFileSupported()) {
+            try {
+                const directory = await this.getStoredFilesDirectory();
+                const name = `${info.transferId}-${Date.now()}`;
+                const handle = await directory.getFileHandle(name, { create: true });
+                return await this.createWritableSink('stored', info, handle, () => directory.removeEntry(name));
+            } catch (error) {
+                console.warn('Browser file storage unavailable:', error);
+            }
+        }
+
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            try {
+                return await this.createStreamSink(info);
+            } catch (error) {
+                console.warn('Streaming download unavailable:', error);
+            }
+        }
+
+        return this.createMemorySink(info);
+    }
+
+    async createWritableSink(kind, info, handle, removeFile, keepExistingData = false) {
+        let writable = await handle.createWritable({ keepExistingData: keepExistingData });
+        let pending = Promise.resolve();
+        let open = true;
+
+        const enqueue = (operation) => {
+            const result = pending.then(operation);
+            pending = result.catch(() => {});
+            return result;
+        };
+
+        return {
+            kind: kind,
+            rewritable: true,
+            handle: handle,
+            write: (index, data) => enqueue(() => writable.write({ type: 'write', position: index * info.chunkSize, data: data })),
+            commit: () => enqueue(async () => {
+                await writable.close();
+                writable = await handle.createWritable({ keepExistingData: true });
+            }),
+            close: () => enqueue(async () => {
+                open = false;
+                await writable.close();
+                return handle.getFile();
+            }),
+            abort: async () => {
+                if (open) {
+                    open = false;
+                    await pending;
+                    await writable.abort().catch(() => {});
+                }
+                if (removeFile) {
+                    await removeFile().catch(() => {});
+                }
+            },
+            remove: removeFile
+        };
+    }
+
+    createStreamSink(info) {
+        const channel = new MessageChannel();
+        const port = channel.port1;
+        const downloadId = this.toHex(crypto.getRandomValues(new Uint8Array(16)));
+        const pending = new Map();
+        const acks = [];
+        let nextIndex = 0;
+        let failure = null;
+        let frame = null;
+
+        const fail = (error) => {
+            failure = failure || error;
+            acks.splice(0).forEach(({ reject }) => reject(failure));
+        };
+
+        const post = (message) => {
+            if (failure) {
+                return Promise.reject(failure);
+            }
+            return new Promise((resolve, reject) => {
+                acks.push({ resolve, reject });
+                port.postMessage(message);
+            });
+        };
+
+        const flush = async () => {
+            while (pending.has(nextIndex)) {
+                const data = pending.get(nextIndex);
+                pending.delete(nextIndex);
+                nextIndex++;
+                await post({ type: 'chunk', data: data });
+            }
+        };
+
+        const removeFrame = () => {
+            if (frame) {
+                setTimeout(() => frame.remove(), 1000);
+                frame = null;
+            }
+        };
+
+        port.onmessage = (event) => {
+            if (event.data.type === 'ack') {
+                const ack = acks.shift();
+                if (ack) {
+                    ack.resolve();
+                }
+            } else if (event.data.type === 'cancel') {
+                fail(new Error('Download was cancelled in the browser'));
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Service worker did not respond')), STREAM_SINK_TIMEOUT);
+
+            acks.push({
+                resolve: () => {
+                    clearTimeout(timer);
+                    frame = document.createElement('iframe');
+                    frame.hidden = true;
+                    frame.src = `${STREAM_DOWNLOAD_PATH}${downloadId}/${encodeURIComponent(info.fileName)}`;
+                    document.body.appendChild(frame);
+
+                    resolve({
+                        kind: 'stream',
+                        rewritable: false,
+                        write: (index, data) => {
+                            if (failure) {
+                                return Promise.reject(failure);
+                            }
+                            if (index >= nextIndex) {
+                                pending.set(index, data);
+                            }
+                            return flush();
+                        },
+                        close: async () => {
+                            await post({ type: 'close' });
+                            port.close();
+                            removeFrame();
+                            return null;
+                        },
+                        abort: async () => {
+                            if (!failure) {
+                                port.postMessage({ type: 'abort' });
+                                fail(new Error('Download aborted'));
+                            }
+                            port.close();
+                            removeFrame();
+                        },
+                        remove: null
+                    });
+                },
+                reject: reject
+            });
+
+            navigator.serviceWorker.controller.postMessage({
+                type: 'download',
+                id: downloadId,
+                fileName: info.fileName,
+                fileSize: info.fileSize,
+                fileType: info.fileType
+            }, [channel.port2]);
+        });
+    }
+
+    createMemorySink(info) {
+        let chunks = new Array(info.totalChunks);
+
+        return {
+            kind: 'memory',
+            rewritable: true,
+            write: async (index, data) => {
+                chunks[index] = data;
+            },
+            close: async () => {
+                const blob = new Blob(chunks, { type: info.fileType });
+                chunks = [];
+                return blob;
+            },
+            abort: async () => {
+                chunks = [];
+            },
+            remove: null
+        };
+    }
+
+    registerServiceWorker() {
+        if (!navigator.serviceWorker || !window.isSecureContext) {
+            return;
+        }
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    isStoredFileSupported() {
+        return Boolean(navigator.storage && navigator.storage.getDirectory &&
+            window.FileSystemFileHandle && 'createWritable' in FileSystemFileHandle.prototype);
+    }
+
+    async getStoredFilesDirectory() {
+        const root = await navigator.storage.getDirectory();
+        return root.getDirectoryHandle(STORED_FILES_DIRECTORY, { create: true });
+    }
+
+    async pruneStoredFiles() {
+        if (!this.isStoredFileSupported()) {
+            return;
+        }
+
+        try {
+            const directory = await this.getStoredFilesDirectory();
+            for await (const [name, handle] of directory.entries()) {
+                const file = await handle.getFile();
+                if (Date.now() - file.lastModified > STORED_FILE_MAX_AGE) {
+                    await directory.removeEntry(name);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not clean up stored files:', error);
+        }
+    }
+
+    async handleFileChunk(frame) {
+        const incoming = this.incomingTransfers.get(frame.transferId);
+        if (!incoming || !incoming.sink || frame.chunkIndex >= incoming.info.totalChunks || incoming.receivedChunks[frame.chunkIndex]) {
+            return;
+        }
+
+        const info = incoming.info;
+        const digest = await this.sha256(frame.payload);
+        if (!this.isCurrentIncoming(incoming) || !incoming.sink) {
+            return;
+        }
+
+        const expectsChunkHash = info.integrity && info.integrity.chunkHashes;
+        if (expectsChunkHash && (!frame.chunkHash || !this.digestsEqual(digest, frame.chunkHash))) {
+            console.warn(`Chunk ${frame.chunkIndex} of transfer ${info.transferId} failed its integrity check`);
+            incoming.corruptChunks.add(frame.chunkIndex);
+            return;
+        }
+
+        try {
+            await incoming.sink.write(frame.chunkIndex, frame.payload);
+        } catch (error) {
+            console.error('Error writing chunk:', error);
+            if (this.isCurrentIncoming(incoming)) {
+                this.sendControlMessage({ type: 'fileAbort', transferId: info.transferId, reason: 'Receiver could not store the file' });
+                this.failIncomingFile(incoming, 'Could not save file: ' + error.message);
+            }
+            return;
+        }
+
+        incoming.corruptChunks.delete(frame.chunkIndex);
+        incoming.receivedChunks[frame.chunkIndex] = 1;
+        incoming.chunkDigests[frame.chunkIndex] = digest;
+        incoming.receivedChunkCount++;
+        this.updateItemProgress(incoming.item, (incoming.receivedChunkCount / info.totalChunks) * 100);
+        this.scheduleIncomingPersist(incoming);
+
+        if (incoming.retransmitTimer && incoming.receivedChunkCount === info.totalChunks) {
+            this.clearRetransmitTimer(incoming);
+            await this.verifyIncomingFile(incoming);
+        }
+    }
+
+    async handleFileComplete(data) {
+        const incoming = this.incomingTransfers.get(data.transferId);
+        if (!incoming) {
+            return;
+        }
+
+        incoming.info.fileHash = data.fileHash;
+
+        if (incoming.corruptChunks.size > 0) {
+            this.showIntegrityFailure(incoming, `${incoming.corruptChunks.size} chunk(s) failed verification`);
+        } else if (incoming.receivedChunkCount === incoming.info.totalChunks) {
+            await this.verifyIncomingFile(incoming);
+        } else {
+            this.requestMissingChunks(incoming);
+        }
+    }
+
+    findMissingChunks(incoming, limit = MAX_NACK_CHUNKS) {
+        const missing = [];
+        for (let i = 0; i < incoming.receivedChunks.length && missing.length < limit; i++) {
+            if (!incoming.receivedChunks[i]) {
+                missing.push(i);
+            }
+        }
+        return missing;
+    }
+
+    requestMissingChunks(incoming, chunks = this.findMissingChunks(incoming)) {
+        this.clearRetransmitTimer(incoming);
+
+        if (incoming.paused || incoming.peerPaused) {
+            incoming.retransmitTimer = setTimeout(() => this.requestMissingChunks(incoming), RETRANSMIT_TIMEOUT);
+            return;
+        }
+
+        if (incoming.nackRounds >= MAX_NACK_ROUNDS) {
+            this.sendControlMessage({
+                type: 'fileAbort',
+                transferId: incoming.info.transferId,
+                reason: 'Too many missing chunks'
+            });
+            this.failIncomingFile(incoming, 'File transfer incomplete: chunks are missing');
+            return;
+        }
+
+        incoming.nackRounds++;
+        this.updateStatus(`Recovering ${chunks.length} missing chunk(s) of ${incoming.item.relativePath}...`, 'info');
+        this.sendControlMessage({
+            type: 'chunkNack',
+            transferId: incoming.info.transferId,
+            chunks: chunks
+        });
+
+        incoming.retransmitTimer = setTimeout(() => this.requestMissingChunks(incoming), RETRANSMIT_TIMEOUT);
+    }
+
+    clearRetransmitTimer(incoming) {
+        if (incoming.retransmitTimer) {
+            clearTimeout(incoming.retransmitTimer);
+            incoming.retransmitTimer = null;
+        }
+    }
+
+    async verifyIncomingFile(incoming) {
+        const info = incoming.info;
+        if (!info.fileHash) {
+            return;
+        }
+
+        this.updateStatus(`Verifying ${incoming.item.relativePath}...`, 'info');
+        this.setItemStatus(incoming.item, 'verifying');
+        const fileHash = await this.hashChunkDigests(incoming.chunkDigests);
+
+        if (!this.isCurrentIncoming(incoming)) {
+            return;
+        }
+
+        if (fileHash === info.fileHash) {
+            incoming.item.chunkHashDigest = fileHash;
+            await this.completeIncomingFile(incoming);
+        } else {
+            this.showIntegrityFailure(incoming, 'Hash of chunk hashes does not match the sender\'s');
+        }
+    }
+
+    showIntegrityFailure(incoming, reason) {
+        this.clearRetransmitTimer(incoming);
+        this.setItemStatus(incoming.item, 'corrupt');
+        this.showNotification(`Integrity check of ${incoming.item.name} failed: ${reason}`, 'error');
+        this.updateStatus('Integrity check failed', 'error');
+    }
+
+    async retryCorruptedChunks(item) {
+        const incoming = this.incomingTransfers.get(item.transferId);
+        if (!incoming || incoming.item !== item) {
+            return;
+        }
+
+        const info = incoming.info;
+        let chunks = Array.from(incoming.corruptChunks).slice(0, MAX_NACK_CHUNKS);
+        if (chunks.length === 0) {
+            if (!incoming.sink.rewritable) {
+                const previous = incoming.sink;
+                incoming.sink = null;
+                previous.abort();
+                const sink = await this.openFileSink(info);
+                if (!this.isCurrentIncoming(incoming)) {
+                    sink.abort();
+                    return;
+                }
+                incoming.sink = sink;
+            }
+            incoming.receivedChunks = new Uint8Array(info.totalChunks);
+            incoming.chunkDigests = new Array(info.totalChunks);
+            incoming.receivedChunkCount = 0;
+            chunks = this.findMissingChunks(incoming);
+        }
+
+        this.setItemStatus(item, 'receiving');
+        incoming.nackRounds = 0;
+        this.requestMissingChunks(incoming, chunks);
+    }
+
+    async completeIncomingFile(incoming) {
+        const { info, item } = incoming;
+
+        try {
+            item.blob = await incoming.sink.close();
+            item.removeFile = incoming.sink.remove;
+        } catch (error) {
+            console.error('Error finalizing file:', error);
+            this.sendControlMessage({ type: 'fileAbort', transferId: info.transferId, reason: 'Receiver could not store the file' });
+            this.failIncomingFile(incoming, 'Could not save file: ' + error.message);
+            return;
+        }
+        
+        this.sendControlMessage({
+            type: 'fileAck',
+            transferId: info.transferId
+        });
+        
+        this.clearIncomingPersistTimer(incoming);
+        this.deleteTransferRecord(this.getTransferKey(this.partnerId, info.transferId));
+        this.incomingTransfers.delete(info.transferId);
+        this.updateItemProgress(item, 100);
+        this.setItemStatus(item, 'done');
+        this.showNotification(`${item.name} received and verified!`, 'success');
+        this.updateConnectedStatus();
+    }
+
+    failIncomingFile(incoming, message, status = 'failed') {
+        this.clearRetransmitTimer(incoming);
+        this.clearIncomingPersistTimer(incoming);
+        this.incomingTransfers.delete(incoming.info.transferId);
+        this.deleteTransferRecord(this.getTransferKey(this.partnerId, incoming.info.transferId));
+        this.discardFileSink(incoming.sink);
+        incoming.sink = null;
+        this.setItemStatus(incoming.item, status);
+        this.showNotification(message, status === 'cancelled' ? 'warning' : 'error');
+        this.updateConnectedStatus();
+    }
+
+    discardFileSink(sink) {
+        if (sink) {
+            sink.abort().catch(error => console.warn('Error discarding partial file:', error));
+        }
+    }
+
+    handleFileAbort(data) {
+        const incoming = this.incomingTransfers.get(data.transferId);
+        if (incoming) {
+            this.failIncomingFile(incoming, `Sender aborted ${incoming.item.name}: ${data.reason}`, 'cancelled');
+            return;
+        }
+
+        const transfer = this.outgoingTransfers.get(data.transferId);
+        if (transfer) {
+            transfer.peerCancelled = data.cancelled === true;
+            this.failOutgoingTransfer(transfer, new Error(data.reason || 'Receiver aborted the transfer'));
+        }
+    }
+
+    async handleChunkNack(data) {
+        const transfer = this.outgoingTransfers.get(data.transferId);
+        if (!transfer || !Array.isArray(data.chunks)) {
+            return;
+        }
+
+        const chunks = data.chunks.filter(index => Number.isInteger(index) && index >= 0 && index < transfer.totalChunks);
+
+        try {
+            await this.sendChunks(transfer, chunks, FRAME_FLAG_RETRANSMIT);
+            await this.sendFileComplete(transfer);
+        } catch (error) {
+            this.failOutgoingTransfer(transfer, error);
+        }
+    }
+
+    handleFileReady(data, transfers = this.outgoingTransfers) {
+        const transfer = transfers.get(data.transferId);
+        if (transfer && !transfer.ready) {
+            transfer.ready = true;
+            if (transfer.resolve) {
+                transfer.resolve();
+            }
+        }
+    }
+
+    handleFileDecline(data, transfers = this.outgoingTransfers) {
+        const transfer = transfers.get(data.transferId);
+        if (!transfer || transfer.ready) {
+            return;
+        }
+
+        transfer.declined = true;
+        const reason = typeof data.reason === 'string' && data.reason ? data.reason.slice(0, 200) : 'Declined by the receiver';
+        this.failOutgoingTransfer(transfer, new Error(reason));
+    }
+
+    handleFileAck(data, transfers = this.outgoingTransfers) {
+        const transfer = transfers.get(data.transferId);
+        if (transfer && transfer.resolve) {
+            transfer.resolve();
+        }
+    }
+
+    getTransferKey(partnerId, transferId) {
+        return `${partnerId}:${transferId}`;
+    }
+
+    computeChunkRanges(chunks) {
+        const ranges = [];
+        let start = -1;
+
+        for (let i = 0; i <= chunks.length; i++) {
+            const present = i < chunks.length && Boolean(chunks[i]);
+            if (present && start === -1) {
+                start = i;
+            } else if (!present && start !== -1) {
+                ranges.push([start, i]);
+                start = -1;
+            }
+        }
+
+        return ranges;
+    }
+
+    buildIncomingRecord(incoming) {
+        const ranges = this.computeChunkRanges(incoming.receivedChunks);
+        const { info, sink } = incoming;
+
+        return {
+            key: this.getTransferKey(this.partnerId, info.transferId),
+            partnerId: this.partnerId,
+            transferId: info.transferId,
+            fileName: info.fileName,
+            relativePath: incoming.item.relativePath,
+            fileSize: info.fileSize,
+            fileType: info.fileType,
+            chunkSize: info.chunkSize,
+            totalChunks: info.totalChunks,
+            integrity: info.integrity || null,
+            sinkKind: sink ? sink.kind : null,
+            storedName: sink && sink.kind === 'stored' ? sink.handle.name : null,
+            fileHandle: sink && sink.kind === 'picker' ? sink.handle : null,
+            ranges: ranges,
+            verifiedOffset: ranges.length > 0 && ranges[0][0] === 0 ? ranges[0][1] : 0,
+            updatedAt: Date.now()
+        };
+    }
+
+    async persistIncomingTransfer(incoming, force = false) {
+        if (!this.partnerId) {
+            return;
+        }
+
+        const record = this.buildIncomingRecord(incoming);
+        const sink = incoming.sink;
+
+        if (sink && sink.commit && record.ranges.length > 0) {
+            if (!force && Date.now() - incoming.committedAt < TRANSFER_COMMIT_INTERVAL) {
+                return;
+            }
+
+            try {
+                await sink.commit();
+            } catch (error) {
+                console.warn('Could not commit partial file:', error);
+                return;
+            }
+            incoming.committedAt = Date.now();
+        }
+
+        await this.saveTransferRecord(record);
+    }
+
+    scheduleIncomingPersist(incoming) {
+        if (incoming.persistTimer) {
+            return;
+        }
+
+        incoming.persistTimer = setTimeout(() => {
+            incoming.persistTimer = null;
+            if (this.isCurrentIncoming(incoming)) {
+                this.persistIncomingTransfer(incoming);
+            }
+        }, TRANSFER_PERSIST_INTERVAL);
+    }
+
+    clearIncomingPersistTimer(incoming) {
+        if (incoming.persistTimer) {
+            clearTimeout(incoming.persistTimer);
+            incoming.persistTimer = null;
+        }
+    }
+
+    suspendIncomingTransfers() {
+        if (!this.partnerId) {
+            return;
+        }
+
+        this.incomingTransfers.forEach(incoming => {
+            if (incoming.item.status === 'pending') {
+                this.failIncomingFile(incoming, `${incoming.item.relativePath} was not accepted before the connection dropped`);
+                return;
+            }
+
+            this.clearRetransmitTimer(incoming);
+            this.clearIncomingPersistTimer(incoming);
+            this.persistIncomingTransfer(incoming, true);
+
+            this.suspendedIncoming.set(this.getTransferKey(this.partnerId, incoming.info.transferId), incoming);
+            this.setItemStatus(incoming.item, 'interrupted');
+            this.showNotification(`Transfer of ${incoming.info.fileName} interrupted. It will resume when you reconnect to ${this.partnerId}.`, 'warning');
+        });
+        this.incomingTransfers.clear();
+    }
+
+    suspendOutgoingTransfer(transfer) {
+        if (transfer.suspended) {
+            return;
+        }
+
+        transfer.suspended = true;
+        this.failOutgoingTransfer(transfer, new Error('Connection lost'));
+        this.setItemStatus(transfer.item, 'interrupted');
+        this.showNotification(`Transfer of ${transfer.file.name} interrupted. It will resume when you reconnect to ${transfer.partnerId}.`, 'warning');
+    }
+
+    offerTransferResumes() {
+        this.outgoingTransfers.forEach(transfer => {
+            if (transfer.suspended && transfer.partnerId === this.partnerId) {
+                this.sendControlMessage({
+                    type: 'resumeOffer',
+                    transferId: transfer.transferId,
+                    fileName: transfer.file.name,
+                    fileSize: transfer.file.size,
+                    totalChunks: transfer.totalChunks
+                });
+            }
+        });
+    }
+
+    async handleResumeOffer(data) {
+        const key = this.getTransferKey(this.partnerId, data.transferId);
+        let incoming = this.suspendedIncoming.get(key);
+        const record = await this.loadTransferRecord(key);
+        this.suspendedIncoming.delete(key);
+
+        if (!incoming && record && !this.incomingTransfers.has(data.transferId)) {
+            incoming = await this.restoreIncomingTransfer(record, data);
+        }
+
+        if (!incoming || !record || this.incomingTransfers.has(data.transferId)) {
+            this.sendControlMessage({ type: 'resumeReject', transferId: data.transferId });
+            if (incoming) {
+                this.discardFileSink(incoming.sink);
+                this.setItemStatus(incoming.item, 'failed');
+            }
+            this.deleteTransferRecord(key);
+            return;
+        }
+
+        const { ranges, verifiedOffset } = this.buildIncomingRecord(incoming);
+        incoming.corruptChunks = new Set();
+        incoming.nackRounds = 0;
+        incoming.paused = false;
+        incoming.peerPaused = false;
+        this.incomingTransfers.set(data.transferId, incoming);
+
+        this.setItemStatus(incoming.item, 'receiving');
+        this.updateStatus(`Resuming ${incoming.item.relativePath}...`, 'info');
+
+        this.sendControlMessage({
+            type: 'resumeRequest',
+            transferId: data.transferId,
+            offset: verifiedOffset,
+            ranges: ranges
+        });
+
+        if (incoming.sink) {
+            this.sendControlMessage({ type: 'fileReady', transferId: data.transferId });
+        } else {
+            this.prepareFileSink(incoming);
+        }
+    }
+
+    async restoreIncomingTransfer(record, offer) {
+        if (!RESUMABLE_SINK_KINDS.includes(record.sinkKind) ||
+            offer.fileSize !== record.fileSize || offer.totalChunks !== record.totalChunks) {
+            return null;
+        }
+
+        const info = {
+            transferId: record.transferId,
+            fileName: record.fileName,
+            relativePath: record.relativePath,
+            fileSize: record.fileSize,
+            fileType: record.fileType,
+            chunkSize: record.chunkSize,
+            totalChunks: record.totalChunks,
+            integrity: record.integrity
+        };
+
+        let sink;
         try {
-            this.incomingCall.style.display = 'none';
-            this.updateStatus('Accepting connection...', 'connecting');
+            if (record.sinkKind === 'stored') {
+                const directory = await this.getStoredFilesDirectory();
+                const handle = await directory.getFileHandle(record.storedName);
+                sink = await this.createWritableSink('stored', info, handle, () => directory.removeEntry(record.storedName), true);
+            } else {
+                sink = await this.createWritableSink('picker', info, record.fileHandle, null, true);
+            }
+        } catch (error) {
+            console.warn('Could not reopen partial file:', error);
+            return null;
+        }
+
+        const incoming = this.createIncomingTransfer(info, record.relativePath);
+        incoming.sink = sink;
+        incoming.item.sinkKind = sink.kind;
+
+        try {
+            const file = await sink.handle.getFile();
+            for (const [start, end] of record.ranges) {
+                for (let i = Math.max(start, 0); i < Math.min(end, info.totalChunks); i++) {
+                    const chunkEnd = Math.min((i + 1) * info.chunkSize, info.fileSize);
+                    if (chunkEnd > file.size) {
+                        break;
+                    }
+
+                    const data = await file.slice(i * info.chunkSize, chunkEnd).arrayBuffer();
+                    incoming.chunkDigests[i] = await this.sha256(data);
+                    incoming.receivedChunks[i] = 1;
+                    incoming.receivedChunkCount++;
+                }
+            }
+        } catch (error) {
+            console.warn('Could not read partial file:', error);
+            this.discardFileSink(sink);
+            this.setItemStatus(incoming.item, 'failed');
+            return null;
+        }
+
+        this.updateItemProgress(incoming.item, incoming.receivedChunkCount / info.totalChunks * 100);
+        return incoming;
+    }
+
+    handleResumeRequest(data) {
+        const transfer = this.outgoingTransfers.get(data.transferId);
+        if (!transfer || !transfer.suspended || !Array.isArray(data.ranges)) {
+            return;
+        }
+
+        const received = new Array(transfer.totalChunks);
+        data.ranges.forEach(([start, end]) => {
+            for (let i = Math.max(start, 0); i < Math.min(end, transfer.totalChunks); i++) {
+                received[i] = true;
+            }
+        });
+
+        const indices = [];
+        for (let i = Math.max(data.offset || 0, 0); i < transfer.totalChunks; i++) {
+            if (!received[i]) {
+                indices.push(i);
+            }
+        }
+
+        transfer.suspended = false;
+        transfer.item.resumeIndices = indices;
+        this.setItemStatus(transfer.item, 'queued');
+        this.showNotification(`Resuming ${transfer.file.name} from chunk ${data.offset || 0}`, 'info');
+        this.processSendQueue();
+    }
+
+    handleResumeReject(data) {
+        const transfer = this.outgoingTransfers.get(data.transferId);
+        if (transfer && transfer.suspended) {
+            this.outgoingTransfers.delete(data.transferId);
+            this.setItemStatus(transfer.item, 'failed');
+            this.showNotification(`${transfer.file.name} could not be resumed. Please send it again.`, 'error');
+        }
+    }
+
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(TRANSFER_STORE)) {
+                        db.createObjectStore(TRANSFER_STORE, { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains(IDENTITY_STORE)) {
+                        db.createObjectStore(IDENTITY_STORE, { keyPath: 'name' });
+                    }
+                    if (!db.objectStoreNames.contains(CHAT_STORE)) {
+                        db.createObjectStore(CHAT_STORE, { keyPath: 'peerId' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.databasePromise;
+    }
+
+    async runStoreRequest(storeName, mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async saveTransferRecord(record) {
+        try {
+            await this.runStoreRequest(TRANSFER_STORE, 'readwrite', store => store.put(record));
+        } catch (error) {
+            console.error('Failed to save transfer state:', error);
+        }
+    }
+
+    async loadTransferRecord(key) {
+        try {
+            return await this.runStoreRequest(TRANSFER_STORE, 'readonly', store => store.get(key));
+        } catch (error) {
+            console.error('Failed to load transfer state:', error);
+            return null;
+        }
+    }
+
+    async deleteTransferRecord(key) {
+        try {
+            await this.runStoreRequest(TRANSFER_STORE, 'readwrite', store => store.delete(key));
+        } catch (error) {
+            console.error('Failed to delete transfer state:', error);
+        }
+    }
+
+    async pruneTransferRecords() {
+        try {
+            const records = await this.runStoreRequest(TRANSFER_STORE, 'readonly', store => store.getAll());
+            for (const record of records) {
+                if (!RESUMABLE_SINK_KINDS.includes(record.sinkKind) || Date.now() - record.updatedAt > STORED_FILE_MAX_AGE) {
+                    await this.deleteTransferRecord(record.key);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not clean up transfer state:', error);
+        }
+    }
+
+    handleFileSelection(event) {
+        const files = Array.from(event.target.files);
+        this.enqueueFiles(files.map(file => ({
+            file: file,
+            relativePath: file.webkitRelativePath || file.name
+        })));
+        event.target.value = '';
+    }
+
+    async handleFileDrop(event) {
+        event.preventDefault();
+        this.uploadZone.classList.remove('dragover');
+        
+        try {
+            this.enqueueFiles(await this.collectDroppedFiles(event.dataTransfer));
+        } catch (error) {
+            console.error('Error reading dropped items:', error);
+            this.showNotification('Failed to read dropped files', 'error');
+        }
+    }
+
+    collectDroppedFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+
+        if (entries.length === 0) {
+            return Promise.resolve(Array.from(dataTransfer.files).map(file => ({ file: file, relativePath: file.name })));
+        }
+
+        return (async () => {
+            const results = [];
+            for (const entry of entries) {
+                await this.walkFileEntry(entry, '', results);
+            }
+            return results;
+        })();
+    }
+
+    async walkFileEntry(entry, parentPath, results) {
+        const path = parentPath + entry.name;
+
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            results.push({ file: file, relativePath: path });
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await this.walkFileEntry(child, path + '/', results);
+                }
+            } while (batch.length > 0);
+        }
+    }
+
+    enqueueFiles(entries) {
+        entries.forEach(({ file, relativePath }) => {
+            this.createTransferItem('outgoing', {
+                name: file.name,
+                relativePath: this.sanitizeRelativePath(relativePath, file.name),
+                size: file.size,
+                type: file.type,
+                file: file
+            });
+        });
+
+        if (entries.length > 0) {
+            this.showNotification(`${entries.length} file(s) added to the queue`, 'info');
+        }
+    }
+
+    sanitizeRelativePath(path, fallback) {
+        const segments = String(path || '')
+            .replace(/\\/g, '/')
+            .split('/')
+            .filter(segment => segment && segment !== '.' && segment !== '..');
+
+        return segments.length > 0 ? segments.join('/') : String(fallback || 'file');
+    }
+
+    handleDragOver(event) {
+        event.preventDefault();
+        this.uploadZone.classList.add('dragover');
+        
+        clearTimeout(this.dragOverTimeout);
+        this.dragOverTimeout = setTimeout(() => {
+            this.uploadZone.classList.remove('dragover');
+        }, 100);
+    }
+
+    async processSendQueue() {
+        if (this.room) {
+            return this.processRoomSendQueue();
+        }
+
+        if (this.queueRunning) {
+            return;
+        }
+
+        if (!this.isConnected || !this.dataChannel || this.dataChannel.readyState !== 'open') {
+            this.showNotification('Data channel not ready. Please wait...', 'error');
+            return;
+        }
+
+        await this.runSendQueue(() => this.isConnected, async (item) => (await this.sendFile(item)) ? 1 : 0);
+    }
+
+    async runSendQueue(canSend, sendItem) {
+        this.queueRunning = true;
+        this.updateQueueControls();
+        let sent = 0;
+
+        const worker = async () => {
+            let item;
+            while (canSend() && (item = this.nextQueuedItem())) {
+                this.setItemStatus(item, 'waiting');
+                sent += await sendItem(item);
+            }
+        };
+
+        try {
+            await Promise.all(this.range(MAX_CONCURRENT_TRANSFERS).map(worker));
+        } finally {
+            this.queueRunning = false;
+            this.updateQueueControls();
+        }
+
+        if (sent > 0) {
+            this.showNotification(`${sent} file(s) sent successfully!`, 'success');
+        }
+    }
+
+    nextQueuedItem() {
+        const queued = Array.from(this.transferItems.values())
+            .filter(item => item.direction === 'outgoing' && item.status === 'queued');
+
+        return queued.find(item => item.resumeIndices) || queued[0];
+    }
+
+    async sendFile(item) {
+        if (item.transfer && item.resumeIndices) {
+            const indices = item.resumeIndices;
+            item.resumeIndices = null;
+            return this.runOutgoingTransfer(item.transfer, indices, item.transfer.totalChunks - indices.length);
+        }
+
+        const file = item.file;
+        const chunkSize = this.chunkSize;
+        const transfer = {
+            transferId: this.generateTransferId(),
+            file: file,
+            item: item,
+            chunkSize: chunkSize,
+            totalChunks: Math.ceil(file.size / chunkSize),
+            chunkHashes: this.chunkHashToggle.checked,
+            chunkDigests: [],
+            ready: false,
+            suspended: false,
+            cancelled: false,
+            paused: false
+        };
+        item.transfer = transfer;
+
+        try {
+            this.sendControlMessage(this.createFileInfoMessage(transfer));
+        } catch (error) {
+            console.error('Error sending file:', error);
+            this.setItemStatus(item, 'failed');
+            this.showNotification('Failed to send file: ' + error.message, 'error');
+            return false;
+        }
+
+        return this.runOutgoingTransfer(transfer, this.range(transfer.totalChunks));
+    }
+
+    createFileInfoMessage(transfer) {
+        const { file, item } = transfer;
+
+        return {
+            type: 'fileInfo',
+            transferId: transfer.transferId,
+            fileName: file.name,
+            relativePath: item.relativePath,
+            fileSize: file.size,
+            fileType: file.type,
+            chunkSize: transfer.chunkSize,
+            totalChunks: transfer.totalChunks,
+            integrity: {
+                algorithm: 'SHA-256',
+                chunkHashes: transfer.chunkHashes
+            }
+        };
+    }
+
+    async runOutgoingTransfer(transfer, indices, alreadySent = 0) {
+        transfer.channel = this.dataChannel;
+        transfer.partnerId = this.partnerId;
+        transfer.peerPaused = false;
+        transfer.error = null;
+        transfer.resolve = null;
+        transfer.reject = null;
+        this.outgoingTransfers.set(transfer.transferId, transfer);
+
+        const item = transfer.item;
+
+        try {
+            if (!transfer.ready) {
+                this.setItemStatus(item, 'waiting');
+                this.updateStatus(`Waiting for ${this.partnerId} to accept ${item.relativePath}...`, 'info');
+                await this.waitForReceiver(transfer);
+            }
             
-            this.connectionTimeout = setTimeout(() => {
-                this.showNotification('Connection timeout. Please try again.', 'error');
-                this.resetConnectionState();
-            }, 30000);
+            transfer.transferChannel = await this.openTransferChannel(this, transfer.transferId);
+            if (transfer.paused) {
+                this.sendPauseState(this, transfer.transferId, true);
+            }
+            this.setItemStatus(item, this.getSendingStatus(transfer));
+            this.updateStatus(`Sending ${item.relativePath}...`, 'info');
+            
+            await this.sendChunks(transfer, indices, alreadySent > 0 ? FRAME_FLAG_RETRANSMIT : 0, (sent) => {
+                this.updateItemProgress(item, (alreadySent + sent) / transfer.totalChunks * 100);
+            });
+            
+            await this.sendFileComplete(transfer);
+            this.setItemStatus(item, 'verifying');
+            this.updateStatus('Waiting for receiver to verify...', 'info');
+            await this.waitForReceiver(transfer);
+            
+            this.outgoingTransfers.delete(transfer.transferId);
+            this.setItemStatus(item, 'done');
+            this.updateConnectedStatus();
+            return true;
+            
+        } catch (error) {
+            if (transfer.cancelled) {
+                return false;
+            }
+            
+            if (transfer.declined) {
+                this.outgoingTransfers.delete(transfer.transferId);
+                this.setItemStatus(item, 'declined');
+                this.updateConnectedStatus();
+                this.showNotification(`${this.getContactLabel(transfer.partnerId)} declined ${item.relativePath}: ${error.message}`, 'warning');
+                return false;
+            }
+            
+            if (transfer.peerCancelled) {
+                this.outgoingTransfers.delete(transfer.transferId);
+                this.setItemStatus(item, 'cancelled');
+                this.updateConnectedStatus();
+                this.showNotification(`${this.getContactLabel(transfer.partnerId)} cancelled ${item.relativePath}`, 'warning');
+                return false;
+            }
+            
+            if (transfer.suspended || transfer.channel.readyState !== 'open') {
+                this.suspendOutgoingTransfer(transfer);
+                return false;
+            }
+            
+            this.outgoingTransfers.delete(transfer.transferId);
+            this.setItemStatus(item, 'failed');
+            console.error('Error sending file:', error);
+            this.showNotification(`Failed to send ${item.relativePath}: ${error.message}`, 'error');
+            return false;
+        } finally {
+            this.closeTransferChannel(transfer);
+        }
+    }
+
+    async sendChunks(transfer, indices, flags = 0, onProgress = null) {
+        const { file, chunkSize, totalChunks } = transfer;
+        const channel = transfer.transferChannel || transfer.channel;
+        const readChunk = async (index) => {
+            const start = index * chunkSize;
+            const data = await file.slice(start, Math.min(start + chunkSize, file.size)).arrayBuffer();
+            if (!transfer.chunkDigests[index]) {
+                transfer.chunkDigests[index] = await this.sha256(data);
+            }
+            return data;
+        };
+        
+        let nextChunk = indices.length > 0 ? readChunk(indices[0]) : null;
+        
+        for (let i = 0; i < indices.length; i++) {
+            const index = indices[i];
+            const arrayBuffer = await nextChunk;
+            while ((transfer.paused || transfer.peerPaused) && !transfer.error) {
+                await new Promise(resolve => {
+                    transfer.resumeWaiter = resolve;
+                });
+            }
+            if (transfer.error) {
+                throw transfer.error;
+            }
+            if (i + 1 < indices.length) {
+                nextChunk = readChunk(indices[i + 1]);
+            }
             
-            await this.createPeerConnection();
-            this.setupPeerConnectionHandlers();
+            await this.waitForBufferDrain(channel);
             
-            const offer = new RTCSessionDescription({
-                type: 'offer',
-                sdp: this.pendingOffer.sdp
-            });
+            if (channel.readyState !== 'open') {
+                throw new Error('Data channel closed while sending');
+            }
             
-            await this.peerConnection.setRemoteDescription(offer);
+            const chunkFlags = index === totalChunks - 1 ? flags | FRAME_FLAG_LAST_CHUNK : flags;
+            const chunkHash = transfer.chunkHashes ? transfer.chunkDigests[index] : null;
+            await this.transmit(channel, this.encodeChunkFrame(transfer.transferId, index, chunkFlags, arrayBuffer, chunkHash), transfer.link);
             
-            for (const candidate of this.pendingIceCandidates) {
-                try {
-                    await this.peerConnection.addIceCandidate(candidate);
-                } catch (error) {
-                    console.error('Error adding pending ICE candidate:', error);
+            if (onProgress) {
+                onProgress(i + 1);
+            }
+        }
+    }
+
+    waitForReceiver(transfer) {
+        if (transfer.error) {
+            return Promise.reject(transfer.error);
+        }
+
+        return new Promise((resolve, reject) => {
+            transfer.resolve = resolve;
+            transfer.reject = reject;
+        });
+    }
+
+    failOutgoingTransfer(transfer, error) {
+        transfer.error = error;
+        this.releasePausedTransfer(transfer);
+        if (transfer.reject) {
+            transfer.reject(error);
+        }
+    }
+
+    releasePausedTransfer(transfer) {
+        if (transfer.resumeWaiter) {
+            const resume = transfer.resumeWaiter;
+            transfer.resumeWaiter = null;
+            resume();
+        }
+    }
+
+    async sendFileComplete(transfer) {
+        if (!transfer.fileHash) {
+            transfer.fileHash = await this.hashChunkDigests(transfer.chunkDigests);
+            transfer.item.chunkHashDigest = transfer.fileHash;
+        }
+
+        this.sendControlMessage({
+            type: 'fileComplete',
+            transferId: transfer.transferId,
+            fileName: transfer.file.name,
+            fileSize: transfer.file.size,
+            fileType: transfer.file.type,
+            fileHash: transfer.fileHash
+        }, transfer.link, transfer.transferChannel || transfer.channel);
+    }
+
+    range(count) {
+        return Array.from({ length: count }, (_, i) => i);
+    }
+
+    createTransferItem(direction, details) {
+        const item = {
+            key: `${direction}-${++this.transferItemSeq}`,
+            direction: direction,
+            name: details.name,
+            relativePath: details.relativePath,
+            size: details.size,
+            type: details.type || '',
+            file: details.file || null,
+            transferId: details.transferId || null,
+            peerId: details.peerId || null,
+            status: direction === 'outgoing' ? 'queued' : 'receiving',
+            progress: 0,
+            blob: null,
+            transfer: null,
+            resumeIndices: null
+        };
+
+        item.row = this.createTransferRow(item);
+        this.transferItems.set(item.key, item);
+        this.transferList.appendChild(item.row.element);
+        this.renderTransferItem(item);
+        this.updateQueueControls();
+        return item;
+    }
+
+    createTransferRow(item) {
+        const element = document.createElement('div');
+        element.className = `transfer-item ${item.direction}`;
+
+        const header = document.createElement('div');
+        header.className = 'transfer-item-header';
+
+        const icon = document.createElement('i');
+        icon.className = item.direction === 'outgoing' ? 'fas fa-arrow-up' : 'fas fa-arrow-down';
+
+        const name = document.createElement('span');
+        name.className = 'transfer-item-name';
+        name.textContent = item.relativePath;
+
+        const peer = document.createElement('span');
+        peer.className = 'transfer-item-peer';
+        peer.textContent = item.peerId ? `${item.direction === 'outgoing' ? 'to' : 'from'} ${item.peerId}` : '';
+
+        const status = document.createElement('span');
+        status.className = 'transfer-item-status';
+
+        const percent = document.createElement('span');
+        percent.className = 'transfer-item-percent';
+
+        header.appendChild(icon);
+        header.appendChild(name);
+        header.appendChild(peer);
+        header.appendChild(status);
+        header.appendChild(percent);
+
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar';
+        const fill = document.createElement('div');
+        fill.className = 'progress-fill';
+        bar.appendChild(fill);
+
+        const actions = document.createElement('div');
+        actions.className = 'transfer-item-actions';
+        const pauseBtn = this.createItemButton('fas fa-pause', 'Pause', () => this.togglePauseTransferItem(item));
+        const cancelBtn = this.createItemButton('fas fa-times', 'Cancel', () => this.cancelTransferItem(item));
+        const downloadBtn = this.createItemButton('fas fa-download', 'Download', () => this.downloadFile(item));
+        const saveBtn = this.createItemButton('fas fa-save', 'Choose where to save', () => this.chooseSaveLocation(item));
+        const retryBtn = this.createItemButton('fas fa-redo', 'Re-request bad chunks', () => this.retryCorruptedChunks(item));
+        const acceptBtn = this.createItemButton('fas fa-check', 'Accept', () => this.answerFileConsent(item, true));
+        const declineBtn = this.createItemButton('fas fa-ban', 'Decline', () => this.answerFileConsent(item, false));
+        const removeBtn = this.createItemButton('fas fa-trash', 'Remove', () => this.removeTransferItem(item));
+        [acceptBtn, declineBtn, pauseBtn, cancelBtn, saveBtn, downloadBtn, retryBtn, removeBtn].forEach(button => actions.appendChild(button));
+
+        element.appendChild(header);
+        element.appendChild(bar);
+        element.appendChild(actions);
+
+        return { element, name, peer, status, percent, fill, acceptBtn, declineBtn, pauseBtn, cancelBtn, saveBtn, downloadBtn, retryBtn, removeBtn };
+    }
+
+    createItemButton(iconClass, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary btn-icon';
+        button.title = title;
+
+        const icon = document.createElement('i');
+        icon.className = iconClass;
+        button.appendChild(icon);
+
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    renderTransferItem(item) {
+        const { row, status, direction } = item;
+        const active = direction === 'outgoing'
+            ? ['queued', 'waiting', 'paused', 'held', 'sending', 'verifying', 'interrupted'].includes(status)
+            : ['awaiting', 'receiving', 'paused', 'held', 'verifying', 'interrupted'].includes(status);
+
+        row.element.dataset.status = status;
+        row.name.title = item.chunkHashDigest
+            ? `${item.relativePath} (${this.formatBytes(item.size)})\nSHA-256 of chunk hashes: ${item.chunkHashDigest}`
+            : `${item.relativePath} (${this.formatBytes(item.size)})`;
+        row.status.textContent = this.getItemStatusLabel(item);
+        row.percent.textContent = Math.round(item.progress) + '%';
+        row.fill.style.width = item.progress + '%';
+
+        if (status === 'done') {
+            row.fill.style.backgroundColor = '#22c55e';
+        } else if (['failed', 'cancelled', 'corrupt', 'declined'].includes(status)) {
+            row.fill.style.backgroundColor = '#ef4444';
+        } else {
+            row.fill.style.backgroundColor = '#3b82f6';
+        }
+
+        const canPause = direction === 'outgoing'
+            ? !item.drop && ['queued', 'paused', 'held', 'sending'].includes(status)
+            : ['receiving', 'paused', 'held'].includes(status);
+        row.pauseBtn.style.display = canPause ? 'inline-flex' : 'none';
+        row.pauseBtn.title = status === 'paused' ? 'Resume' : 'Pause';
+        row.pauseBtn.querySelector('i').className = status === 'paused' ? 'fas fa-play' : 'fas fa-pause';
+        row.cancelBtn.style.display = active ? 'inline-flex' : 'none';
+        row.acceptBtn.style.display = status === 'pending' ? 'inline-flex' : 'none';
+        row.declineBtn.style.display = status === 'pending' ? 'inline-flex' : 'none';
+        row.saveBtn.style.display = status === 'awaiting' ? 'inline-flex' : 'none';
+        row.downloadBtn.style.display = direction === 'incoming' && status === 'done' ? 'inline-flex' : 'none';
+        row.downloadBtn.title = item.blob ? 'Download' : 'Show where it was saved';
+        row.retryBtn.style.display = status === 'corrupt' ? 'inline-flex' : 'none';
+        row.removeBtn.style.display = this.isItemFinished(item) ? 'inline-flex' : 'none';
+    }
+
+    getItemStatusLabel(item) {
+        switch (item.status) {
+            case 'queued': return 'Queued';
+            case 'waiting': return 'Waiting for receiver';
+            case 'pending': return 'Accept this file?';
+            case 'awaiting': return 'Choose where to save';
+            case 'paused': return 'Paused';
+            case 'held': return item.direction === 'outgoing' ? 'Paused by receiver' : 'Paused by sender';
+            case 'sending': return 'Sending';
+            case 'receiving': return 'Receiving';
+            case 'verifying': return 'Verifying';
+            case 'done': return item.direction === 'outgoing' ? (item.drop ? 'Left in drop box' : 'Sent') : 'Verified';
+            case 'corrupt': return 'Integrity check failed';
+            case 'interrupted': return 'Interrupted';
+            case 'cancelled': return 'Cancelled';
+            case 'declined': return 'Declined';
+            default: return 'Failed';
+        }
+    }
+
+    isItemFinished(item) {
+        return ['done', 'failed', 'cancelled', 'declined'].includes(item.status);
+    }
+
+    setItemStatus(item, status) {
+        if (!item) {
+            return;
+        }
+
+        item.status = status;
+        this.renderTransferItem(item);
+        this.updateQueueControls();
+    }
+
+    updateItemProgress(item, percent) {
+        if (!item) {
+            return;
+        }
+
+        item.progress = Math.min(percent, 100);
+        item.row.percent.textContent = Math.round(item.progress) + '%';
+        item.row.fill.style.width = item.progress + '%';
+    }
+
+    updateQueueControls() {
+        const items = Array.from(this.transferItems.values());
+        const received = items.filter(item => item.direction === 'incoming' && item.status === 'done' && item.blob);
+        const queued = items.filter(item => item.direction === 'outgoing' && item.status === 'queued');
+
+        this.fileProgress.style.display = items.length > 0 ? 'block' : 'none';
+        this.queueSummary.textContent = `${items.length} item(s)`;
+        this.sendFileBtn.style.display = queued.length > 0 && !this.queueRunning ? 'block' : 'none';
+        this.dropBtn.style.display = queued.length > 0 && this.dropbox && !this.queueRunning && !this.isConnected && !this.room ? 'block' : 'none';
+        this.downloadAllBtn.style.display = received.length > 1 ? 'block' : 'none';
+        this.clearFinishedBtn.style.display = items.some(item => this.isItemFinished(item)) ? 'block' : 'none';
+    }
+
+    getOutgoingTransfers(transfer) {
+        return transfer && transfer.member ? transfer.member.outgoing : this.outgoingTransfers;
+    }
+
+    togglePauseTransferItem(item) {
+        if (item.direction === 'incoming') {
+            this.togglePauseIncomingItem(item);
+            return;
+        }
+
+        const transfer = item.transfer;
+
+        if (item.status === 'paused') {
+            if (transfer && this.getOutgoingTransfers(transfer).has(transfer.transferId)) {
+                transfer.paused = false;
+                this.sendPauseState(transfer.link, transfer.transferId, false);
+                this.releasePausedTransfer(transfer);
+                this.setItemStatus(item, this.getSendingStatus(transfer));
+            } else {
+                this.setItemStatus(item, 'queued');
+                if (this.isConnected || this.room) {
+                    this.processSendQueue();
                 }
             }
-            this.pendingIceCandidates = [];
-            
-            const answer = await this.peerConnection.createAnswer();
-            await this.peerConnection.setLocalDescription(answer);
-            
-            this.socket.emit('signaling', {
-                to: this.partnerId,
-                signalData: {
-                    type: 'answer',
-                    sdp: answer.sdp
+        } else if (['sending', 'held'].includes(item.status) && transfer) {
+            transfer.paused = true;
+            this.sendPauseState(transfer.link, transfer.transferId, true);
+            this.setItemStatus(item, 'paused');
+        } else if (item.status === 'queued') {
+            this.setItemStatus(item, 'paused');
+        }
+    }
+
+    togglePauseIncomingItem(item) {
+        const found = this.findIncomingTransfer(item);
+        if (!found || !['receiving', 'paused', 'held'].includes(item.status)) {
+            return;
+        }
+
+        const { incoming, link } = found;
+        incoming.paused = item.status !== 'paused';
+        this.sendPauseState(link, incoming.info.transferId, incoming.paused);
+        this.setItemStatus(item, this.getReceivingStatus(incoming));
+    }
+
+    sendPauseState(link, transferId, paused) {
+        try {
+            this.sendControlMessage({ type: 'filePause', transferId: transferId, paused: paused }, link);
+        } catch (error) {
+            console.error('Error sending pause state:', error);
+        }
+    }
+
+    handleFilePause(data, incomingTransfers = this.incomingTransfers, outgoingTransfers = this.outgoingTransfers) {
+        const paused = data.paused === true;
+
+        const incoming = incomingTransfers.get(data.transferId);
+        if (incoming) {
+            incoming.peerPaused = paused;
+            if (['receiving', 'paused', 'held'].includes(incoming.item.status)) {
+                this.setItemStatus(incoming.item, this.getReceivingStatus(incoming));
+            }
+            return;
+        }
+
+        const transfer = outgoingTransfers.get(data.transferId);
+        if (transfer) {
+            transfer.peerPaused = paused;
+            if (!paused) {
+                this.releasePausedTransfer(transfer);
+            }
+            if (['sending', 'paused', 'held'].includes(transfer.item.status)) {
+                this.setItemStatus(transfer.item, this.getSendingStatus(transfer));
+            }
+        }
+    }
+
+    getSendingStatus(transfer) {
+        if (transfer.paused) {
+            return 'paused';
+        }
+        return transfer.peerPaused ? 'held' : 'sending';
+    }
+
+    getReceivingStatus(incoming) {
+        if (incoming.paused) {
+            return 'paused';
+        }
+        return incoming.peerPaused ? 'held' : 'receiving';
+    }
+
+    findIncomingTransfer(item) {
+        const member = this.room ? this.room.members.get(item.peerId) : null;
+        const incoming = (member ? member.incoming : this.incomingTransfers).get(item.transferId);
+
+        return incoming && incoming.item === item ? { incoming: incoming, link: member || this } : null;
+    }
+
+    cancelTransferItem(item) {
+        if (item.direction === 'incoming') {
+            this.cancelIncomingItem(item);
+            return;
+        }
+
+        const transfer = item.transfer;
+
+        const transfers = this.getOutgoingTransfers(transfer);
+        if (transfer && transfers.has(transfer.transferId)) {
+            transfer.cancelled = true;
+            if (!transfer.suspended && transfer.channel && transfer.channel.readyState === 'open') {
+                this.sendControlMessage({ type: 'fileAbort', transferId: transfer.transferId, reason: 'Cancelled by sender', cancelled: true }, transfer.link);
+            }
+            this.failOutgoingTransfer(transfer, new Error('Transfer cancelled'));
+            transfers.delete(transfer.transferId);
+        }
+
+        item.resumeIndices = null;
+        this.setItemStatus(item, 'cancelled');
+    }
+
+    cancelIncomingItem(item) {
+        const found = this.findIncomingTransfer(item);
+
+        if (!found) {
+            const suspended = Array.from(this.suspendedIncoming).find(([, incoming]) => incoming.item === item);
+            if (suspended) {
+                const [key, incoming] = suspended;
+                this.suspendedIncoming.delete(key);
+                this.deleteTransferRecord(key);
+                this.discardFileSink(incoming.sink);
+                this.setItemStatus(item, 'cancelled');
+            }
+            return;
+        }
+
+        const { incoming, link } = found;
+        const message = `Cancelled ${item.name}`;
+        try {
+            this.sendControlMessage({ type: 'fileAbort', transferId: incoming.info.transferId, reason: 'Cancelled by receiver', cancelled: true }, link);
+        } catch (error) {
+            console.error('Error cancelling file:', error);
+        }
+
+        if (link === this) {
+            this.failIncomingFile(incoming, message, 'cancelled');
+        } else {
+            this.failRoomIncomingFile(link, incoming, message, 'cancelled', false);
+        }
+    }
+
+    removeTransferItem(item) {
+        if (item.removeFile) {
+            item.blob = null;
+            item.removeFile().catch(error => console.warn('Error removing stored file:', error));
+        }
+        this.transferItems.delete(item.key);
+        item.row.element.remove();
+        this.updateQueueControls();
+    }
+
+    clearFinishedItems() {
+        this.transferItems.forEach(item => {
+            if (this.isItemFinished(item)) {
+                this.removeTransferItem(item);
+            }
+        });
+    }
+
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    downloadFile(item) {
+        if (item && item.sinkKind === 'picker') {
+            this.showNotification(`${item.name} was saved to the location you chose`, 'info');
+            return;
+        }
+
+        if (item && item.sinkKind === 'stream') {
+            this.showNotification(`${item.name} was saved to your downloads folder`, 'info');
+            return;
+        }
+
+        if (!item || !item.blob) {
+            this.showNotification('No file to download', 'error');
+            return;
+        }
+
+        try {
+            this.saveBlob(item.blob, item.name);
+            this.showNotification(`Downloaded: ${item.name}`, 'success');
+        } catch (error) {
+            console.error('Error downloading file:', error);
+            this.showNotification('Failed to download file', 'error');
+        }
+    }
+
+    saveBlob(blob, name) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async downloadAllFiles() {
+        const items = Array.from(this.transferItems.values())
+            .filter(item => item.direction === 'incoming' && item.status === 'done' && item.blob);
+
+        if (items.length === 0) {
+            this.showNotification('No files to download', 'error');
+            return;
+        }
+
+        if (items.length === 1) {
+            this.downloadFile(items[0]);
+            return;
+        }
+
+        try {
+            this.downloadAllBtn.disabled = true;
+            this.showNotification('Building archive...', 'info');
+            const archive = await this.createZipArchive(items.map(item => ({
+                path: item.relativePath,
+                blob: item.blob
+            })));
+            this.saveBlob(archive, `sovereignshare-${new Date().toISOString().slice(0, 10)}.zip`);
+            this.showNotification(`Downloaded ${items.length} files as an archive`, 'success');
+        } catch (error) {
+            console.error('Error building archive:', error);
+            this.showNotification('Failed to build archive: ' + error.message, 'error');
+        } finally {
+            this.downloadAllBtn.disabled = false;
+        }
+    }
+
+    async createZipArchive(entries) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const centralDirectory = [];
+        const { time, date } = this.toDosDateTime(new Date());
+        let offset = 0;
+
+        if (entries.length > 0xffff) {
+            throw new Error('Too many files for a single archive');
+        }
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.path);
+            const size = entry.blob.size;
+            const crc = await this.computeCrc32(entry.blob);
+
+            if (size > 0xffffffff || offset + size > 0xffffffff) {
+                throw new Error('Archive would exceed 4 GB; download the files individually');
+            }
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, size, true);
+            central.setUint32(24, size, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            parts.push(local.buffer, name, entry.blob);
+            centralDirectory.push(central.buffer, name);
+            offset += 30 + name.length + size;
+        }
+
+        const centralSize = centralDirectory.reduce((total, part) => total + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+    }
+
+    async computeCrc32(blob) {
+        if (!this.crc32Table) {
+            this.crc32Table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
                 }
+                this.crc32Table[n] = c >>> 0;
+            }
+        }
+
+        const table = this.crc32Table;
+        const sliceSize = 4 * 1024 * 1024;
+        let crc = 0xffffffff;
+
+        for (let start = 0; start < blob.size; start += sliceSize) {
+            const bytes = new Uint8Array(await blob.slice(start, start + sliceSize).arrayBuffer());
+            for (let i = 0; i < bytes.length; i++) {
+                crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+            }
+        }
+
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    toDosDateTime(value) {
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+            date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+
+    sendChatMessage() {
+        const message = this.messageInput.value.trim();
+        if (!message) return;
+
+        if (this.room) {
+            this.sendRoomChatMessage(message);
+            return;
+        }
+
+        if (!this.isConnected) return;
+
+        if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
+            this.showNotification('Connection not ready. Please wait...', 'error');
+            return;
+        }
+
+        try {
+            const entry = {
+                id: this.generateChatMessageId(),
+                from: 'me',
+                text: message,
+                timestamp: new Date().toISOString(),
+                status: 'sent'
+            };
+
+            this.stopTyping(false);
+            this.sendControlMessage({
+                type: 'chat',
+                id: entry.id,
+                text: entry.text,
+                timestamp: entry.timestamp
             });
-            
-            this.isInitiator = false;
+            this.recordChatMessage(entry);
+            this.messageInput.value = '';
             
         } catch (error) {
-            console.error('Error accepting call:', error);
-            this.showNotification('Failed to accept connection: ' + error.message, 'error');
-            this.resetConnectionState();
-            this.updateStatus('Connection failed', 'error');
+            console.error('Error sending chat message:', error);
+            this.showNotification('Failed to send message', 'error');
+        }
+    }
+
+    addChatMessage(text, sender, author = null, time = new Date()) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${sender}`;
+        
+        if (author) {
+            const authorLabel = document.createElement('strong');
+            authorLabel.className = 'message-author';
+            authorLabel.textContent = author;
+            messageDiv.appendChild(authorLabel);
+        }
+        
+        const messageContent = document.createElement('span');
+        messageContent.textContent = this.escapeHtml(text);
+        
+        const timestamp = document.createElement('small');
+        timestamp.className = 'timestamp';
+        timestamp.textContent = time.toDateString() === new Date().toDateString() ? time.toLocaleTimeString() : time.toLocaleString();
+        
+        messageDiv.appendChild(messageContent);
+        messageDiv.appendChild(timestamp);
+        
+        this.chatMessages.appendChild(messageDiv);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+        return messageDiv;
+    }
+
+    generateChatMessageId() {
+        return this.toHex(crypto.getRandomValues(new Uint8Array(8)));
+    }
+
+    recordChatMessage(entry) {
+        this.chatLog.push(entry);
+        this.renderChatEntry(entry);
+        this.scheduleChatSave();
+    }
+
+    renderChatEntry(entry) {
+        const author = this.room && entry.from !== 'me' ? entry.from : null;
+        const element = this.addChatMessage(entry.text, entry.from === 'me' ? 'me' : 'other', author, new Date(entry.timestamp));
+
+        if (entry.status) {
+            const status = document.createElement('small');
+            status.className = 'message-status';
+            status.textContent = this.getChatStatusLabel(entry.status);
+            element.appendChild(status);
+            this.chatElements.set(entry.id, status);
         }
     }
 
-    rejectIncomingCall() {
-        this.incomingCall.style.display = 'none';
-        this.resetConnectionState();
-        this.updateStatus('Call rejected', 'info');
-        this.pendingOffer = null;
-        this.pendingIceCandidates = [];
+    renderChatLog() {
+        this.chatMessages.innerHTML = '';
+        this.chatElements.clear();
+        this.chatLog.forEach(entry => this.renderChatEntry(entry));
     }
 
-    async handlesignaling(data) {
-        try {
-            if (data.signalData.type === 'answer') {
-                const answer = new RTCSessionDescription({
-                    type: 'answer',
-                    sdp: data.signalData.sdp
-                });
-                
-                await this.peerConnection.setRemoteDescription(answer);
-                
-                for (const candidate of this.pendingIceCandidates) {
-                    try {
-                        await this.peerConnection.addIceCandidate(candidate);
-                    } catch (error) {
-                        console.error('Error adding pending ICE candidate:', error);
-                    }
-                }
-                this.pendingIceCandidates = [];
-                
-            } else if (data.signalData.type === 'ice-candidate') {
-                try {
-                    const candidate = new RTCIceCandidate(data.signalData.candidate);
-                    
-                    if (this.peerConnection && this.peerConnection.remoteDescription) {
-                        await this.peerConnection.addIceCandidate(candidate);
-                    } else {
-                        this.pendingIceCandidates.push(candidate);
-                    }
-                } catch (error) {
-                    console.error('Error handling ICE candidate:', error);
-                }
+    getChatStatusLabel(status) {
+        switch (status) {
+            case 'delivered': return 'Delivered';
+            case 'read': return 'Read';
+            default: return 'Sent';
+        }
+    }
+
+    updateChatStatus(ids, status) {
+        const order = ['sent', 'delivered', 'read'];
+        let changed = false;
+
+        this.chatLog.forEach(entry => {
+            if (entry.from !== 'me' || !ids.includes(entry.id) || order.indexOf(status) <= order.indexOf(entry.status)) {
+                return;
             }
-        } catch (error) {
-            console.error('Error handling call accepted:', error);
-            this.showNotification('Failed to establish connection', 'error');
-            this.handleDisconnection();
+
+            entry.status = status;
+            const element = this.chatElements.get(entry.id);
+            if (element) {
+                element.textContent = this.getChatStatusLabel(status);
+            }
+            changed = true;
+        });
+
+        if (changed) {
+            this.scheduleChatSave();
         }
     }
 
-    setupPeerConnectionHandlers() {
-        this.peerConnection.ondatachannel = (event) => {
-            this.dataChannel = event.channel;
-            this.setupDataChannel();
-        };
+    acknowledgeChatMessage(id) {
+        if (document.visibilityState === 'visible') {
+            this.sendChatReceipt([id], 'read');
+        } else {
+            this.unreadChatIds.push(id);
+            this.sendChatReceipt([id], 'delivered');
+        }
     }
 
-    handleDataChannelMessage(data) {
+    sendReadReceipts() {
+        if (document.visibilityState !== 'visible' || this.unreadChatIds.length === 0) {
+            return;
+        }
+
+        const ids = this.unreadChatIds;
+        this.unreadChatIds = [];
+        this.sendChatReceipt(ids, 'read');
+    }
+
+    sendChatReceipt(ids, status) {
         try {
-            const parsedData = JSON.parse(data);
-            
-            if (parsedData.type === 'chat') {
-                this.handleChatMessage(parsedData);
-            } else if (parsedData.type === 'fileInfo') {
-                this.handleFileInfo(parsedData);
-            } else if (parsedData.type === 'fileChunk') {
-                this.handleFileChunk(parsedData);
-            } else if (parsedData.type === 'fileComplete') {
-                this.handleFileComplete(parsedData);
-            }
+            this.sendControlMessage({ type: 'chatReceipt', ids: ids, status: status });
         } catch (error) {
-            console.error('Error parsing message:', error);
+            console.error('Error sending chat receipt:', error);
         }
     }
 
-    handleChatMessage(data) {
-        this.addChatMessage(data.text, 'other');
+    notifyTyping() {
+        if (this.room || !this.isConnected) {
+            return;
+        }
+
+        if (!this.messageInput.value) {
+            this.stopTyping();
+            return;
+        }
+
+        if (!this.typingTimer) {
+            this.sendTypingState(true);
+        }
+        clearTimeout(this.typingTimer);
+        this.typingTimer = setTimeout(() => this.stopTyping(), TYPING_IDLE_TIMEOUT);
     }
 
-    handleFileInfo(data) {
-        this.fileInfo = data;
-        this.fileName.textContent = data.fileName;
-        this.fileProgress.style.display = 'block';
-        this.downloadFileBtn.style.display = 'block';
-        this.updateStatus('Receiving file...', 'info');
-        this.fileChunks = [];
+    stopTyping(notifyPeer = true) {
+        if (!this.typingTimer) {
+            return;
+        }
+
+        clearTimeout(this.typingTimer);
+        this.typingTimer = null;
+        if (notifyPeer) {
+            this.sendTypingState(false);
+        }
     }
 
-    handleFileChunk(data) {
-        this.fileChunks.push(new Uint8Array(data.chunk));
-        const progress = (this.fileChunks.length / data.totalChunks) * 100;
-        this.updateFileProgress(progress);
+    sendTypingState(typing) {
+        try {
+            this.sendControlMessage({ type: 'typing', typing: typing });
+        } catch (error) {
+            console.error('Error sending typing state:', error);
+        }
     }
 
-    handleFileComplete(data) {
-        const blob = new Blob(this.fileChunks, { type: data.fileType });
-        this.currentFile = {
-            name: data.fileName,
-            type: data.fileType,
-            size: data.fileSize,
-            blob: blob
-        };
-        
-        this.fileChunks = [];
-        this.updateFileProgress(100);
-        this.showNotification('File received successfully!', 'success');
-        this.updateStatus(`Connected to ${this.partnerId}`, 'connected');
+    hideTypingIndicator() {
+        this.typingIndicator.style.display = 'none';
+        this.typingIndicator.textContent = '';
     }
 
-    handleFileSelection(event) {
-        const files = event.target.files;
-        if (files.length > 0) {
-            this.currentFile = files[0];
-            this.fileName.textContent = this.currentFile.name;
-            this.fileProgress.style.display = 'block';
-            this.sendFileBtn.style.display = 'block';
-            this.downloadFileBtn.style.display = 'none';
-            this.updateFileProgress(0);
+    async openConversation(peerId) {
+        if (this.chatPeerId === peerId) {
+            return;
         }
-    }
 
-    handleFileDrop(event) {
-        event.preventDefault();
-        this.uploadZone.classList.remove('dragover');
-        
-        const files = event.dataTransfer.files;
-        if (files.length > 0) {
-            this.fileInput.files = files;
-            this.handleFileSelection({ target: { files: files } });
+        this.chatPeerId = peerId;
+
+        try {
+            if (this.chatHistoryKey) {
+                await this.restoreChatHistory(peerId);
+            } else if (await this.runStoreRequest(CHAT_STORE, 'readonly', store => store.count(peerId)) > 0 && this.chatPeerId === peerId) {
+                this.addChatMessage('Enter your history passphrase below to see earlier messages with this peer.', 'system');
+            }
+        } catch (error) {
+            console.error('Error loading chat history:', error);
+            this.showNotification('Could not load chat history', 'error');
         }
     }
 
-    handleDragOver(event) {
-        event.preventDefault();
-        this.uploadZone.classList.add('dragover');
-        
-        clearTimeout(this.dragOverTimeout);
-        this.dragOverTimeout = setTimeout(() => {
-            this.uploadZone.classList.remove('dragover');
-        }, 100);
-    }
+    async restoreChatHistory(peerId) {
+        const record = await this.runStoreRequest(CHAT_STORE, 'readonly', store => store.get(peerId));
+        if (!record || this.chatPeerId !== peerId) {
+            return;
+        }
 
-    async sendFile() {
-        if (!this.currentFile || !this.isConnected) {
-            this.showNotification('No file selected or not connected', 'error');
+        const stored = await this.openChatHistory(this.chatHistoryKey, record, `${CHAT_HISTORY_CONTEXT}:${peerId}`);
+        if (this.chatPeerId !== peerId) {
             return;
         }
 
-        if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
-            this.showNotification('Data channel not ready. Please wait...', 'error');
+        const restoredIds = new Set(stored.map(entry => entry.id));
+        this.chatLog = stored.concat(this.chatLog.filter(entry => !restoredIds.has(entry.id)));
+        this.renderChatLog();
+    }
+
+    async unlockChatHistory() {
+        const passphrase = this.chatPassphraseInput.value;
+        if (!passphrase) {
+            this.showNotification('Enter a passphrase to keep your chat history', 'error');
             return;
         }
 
         try {
-            const file = this.currentFile;
-            const totalChunks = Math.ceil(file.size / this.chunkSize);
-            
-            const fileInfo = {
-                type: 'fileInfo',
-                fileName: file.name,
-                fileSize: file.size,
-                fileType: file.type,
-                totalChunks: totalChunks
-            };
-            
-            this.dataChannel.send(JSON.stringify(fileInfo));
-            this.updateStatus('Sending file...', 'info');
-            
-            for (let i = 0; i < totalChunks; i++) {
-                const start = i * this.chunkSize;
-                const end = Math.min(start + this.chunkSize, file.size);
-                const chunk = file.slice(start, end);
-                
-                const arrayBuffer = await chunk.arrayBuffer();
-                const chunkData = {
-                    type: 'fileChunk',
-                    chunk: Array.from(new Uint8Array(arrayBuffer)),
-                    chunkIndex: i,
-                    totalChunks: totalChunks
-                };
-                
-                this.dataChannel.send(JSON.stringify(chunkData));
-                this.updateFileProgress((i + 1) / totalChunks * 100);
-                
-                await new Promise(resolve => setTimeout(resolve, 5));
+            const record = await this.runStoreRequest(IDENTITY_STORE, 'readonly', store => store.get('chatHistory'));
+            const key = record
+                ? await this.deriveChatHistoryKey(passphrase, record.salt)
+                : await this.createChatHistoryKey(passphrase);
+
+            if (record && await this.openChatHistory(key, record.check, CHAT_HISTORY_CONTEXT).catch(() => null) !== CHAT_HISTORY_CONTEXT) {
+                this.showNotification('Wrong chat history passphrase', 'error');
+                return;
+            }
+
+            this.chatHistoryKey = key;
+            this.chatPassphraseInput.value = '';
+            this.updateChatHistoryControls();
+            this.showNotification(record ? 'Chat history unlocked' : 'Chat history will be kept on this device', 'success');
+
+            if (this.chatPeerId) {
+                await this.restoreChatHistory(this.chatPeerId);
+                this.scheduleChatSave();
             }
-            
-            const completionData = {
-                type: 'fileComplete',
-                fileName: file.name,
-                fileSize: file.size,
-                fileType: file.type
-            };
-            
-            this.dataChannel.send(JSON.stringify(completionData));
-            this.showNotification('File sent successfully!', 'success');
-            this.updateStatus(`Connected to ${this.partnerId}`, 'connected');
-            
         } catch (error) {
-            console.error('Error sending file:', error);
-            this.showNotification('Failed to send file: ' + error.message, 'error');
+            console.error('Error unlocking chat history:', error);
+            this.showNotification('Could not unlock chat history: ' + error.message, 'error');
         }
     }
 
-    downloadFile() {
-        if (!this.currentFile) {
-            this.showNotification('No file to download', 'error');
+    async createChatHistoryKey(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveChatHistoryKey(passphrase, salt);
+        const record = {
+            name: 'chatHistory',
+            salt: salt,
+            check: await this.sealChatHistory(key, CHAT_HISTORY_CONTEXT, CHAT_HISTORY_CONTEXT),
+            createdAt: Date.now()
+        };
+
+        await this.runStoreRequest(IDENTITY_STORE, 'readwrite', store => store.add(record));
+        return key;
+    }
+
+    async deriveChatHistoryKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: CHAT_HISTORY_ITERATIONS },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async sealChatHistory(key, value, context) {
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const iv = crypto.getRandomValues(new Uint8Array(E2E_IV_SIZE));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv, additionalData: new TextEncoder().encode(context) }, key, plaintext);
+        return { iv: iv, data: new Uint8Array(ciphertext) };
+    }
+
+    async openChatHistory(key, sealed, context) {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv, additionalData: new TextEncoder().encode(context) }, key, sealed.data);
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    scheduleChatSave() {
+        if (!this.chatHistoryKey || !this.chatPeerId || this.chatSaveTimer) {
             return;
         }
 
-        try {
-            const url = URL.createObjectURL(this.currentFile.blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = this.currentFile.name;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            this.showNotification(`Downloaded: ${this.currentFile.name}`, 'success');
-        } catch (error) {
-            console.error('Error downloading file:', error);
-            this.showNotification('Failed to download file', 'error');
+        this.chatSaveTimer = setTimeout(() => {
+            this.chatSaveTimer = null;
+            this.saveChatHistory(this.chatPeerId, this.chatLog);
+        }, CHAT_SAVE_DELAY);
+    }
+
+    flushChatHistory() {
+        if (!this.chatSaveTimer) {
+            return;
         }
+
+        clearTimeout(this.chatSaveTimer);
+        this.chatSaveTimer = null;
+        this.saveChatHistory(this.chatPeerId, this.chatLog);
     }
 
-    sendChatMessage() {
-        const message = this.messageInput.value.trim();
-        if (!message || !this.isConnected) return;
+    saveChatHistory(peerId, messages) {
+        const sealed = this.sealChatHistory(this.chatHistoryKey, messages.slice(-CHAT_HISTORY_LIMIT), `${CHAT_HISTORY_CONTEXT}:${peerId}`);
 
-        if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
-            this.showNotification('Connection not ready. Please wait...', 'error');
+        this.chatSaveQueue = this.chatSaveQueue.then(async () => {
+            const record = { peerId: peerId, ...await sealed, updatedAt: Date.now() };
+            await this.runStoreRequest(CHAT_STORE, 'readwrite', store => store.put(record));
+        }).catch(error => {
+            console.error('Failed to save chat history:', error);
+        });
+    }
+
+    updateChatHistoryControls() {
+        const unlocked = Boolean(this.chatHistoryKey);
+
+        this.chatPassphraseInput.style.display = unlocked || this.room ? 'none' : 'block';
+        this.unlockHistoryBtn.style.display = unlocked || this.room ? 'none' : 'inline-flex';
+        this.chatHistoryStatus.style.display = unlocked && !this.room ? 'inline' : 'none';
+    }
+
+    exportChat(format) {
+        if (this.chatLog.length === 0) {
+            this.showNotification('No messages to export', 'error');
             return;
         }
 
+        const messages = this.chatLog.map(entry => ({
+            id: entry.id,
+            from: entry.from === 'me' ? this.userId : entry.from,
+            text: entry.text,
+            timestamp: entry.timestamp,
+            status: entry.status || null
+        }));
+        const name = `sovereignshare-chat-${this.room ? this.room.id : this.chatPeerId}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
         try {
-            this.addChatMessage(message, 'me');
-            
-            const messageData = {
-                type: 'chat',
-                text: message,
-                timestamp: new Date().toISOString()
-            };
-            
-            this.dataChannel.send(JSON.stringify(messageData));
-            this.messageInput.value = '';
-            
+            if (format === 'markdown') {
+                this.saveBlob(new Blob([this.formatChatMarkdown(messages)], { type: 'text/markdown' }), `${name}.md`);
+            } else {
+                const conversation = {
+                    exportedAt: new Date().toISOString(),
+                    userId: this.userId,
+                    peerId: this.room ? null : this.chatPeerId,
+                    room: this.room ? this.room.id : null,
+                    messages: messages
+                };
+                this.saveBlob(new Blob([JSON.stringify(conversation, null, 2)], { type: 'application/json' }), `${name}.json`);
+            }
         } catch (error) {
-            console.error('Error sending chat message:', error);
-            this.showNotification('Failed to send message', 'error');
+            console.error('Error exporting chat:', error);
+            this.showNotification('Failed to export chat', 'error');
         }
     }
 
-    addChatMessage(text, sender) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${sender}`;
-        
-        const messageContent = document.createElement('span');
-        messageContent.textContent = this.escapeHtml(text);
-        
-        const timestamp = document.createElement('small');
-        timestamp.className = 'timestamp';
-        timestamp.textContent = new Date().toLocaleTimeString();
-        
-        messageDiv.appendChild(messageContent);
-        messageDiv.appendChild(timestamp);
-        
-        this.chatMessages.appendChild(messageDiv);
-        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    formatChatMarkdown(messages) {
+        const title = this.room ? `Room ${this.room.id}` : `Chat with ${this.getContactLabel(this.chatPeerId)}`;
+        const lines = messages.map(message => {
+            const author = message.from === this.userId ? 'Me' : this.getContactLabel(message.from);
+            return `- **${author}** (${new Date(message.timestamp).toLocaleString()}): ${message.text}`;
+        });
+
+        return `# ${title}\n\n${lines.join('\n')}\n`;
     }
 
     escapeHtml(text) {
@@ -715,20 +5547,11 @@ class SovereignShare {
     }
 
     showChatPanel() {
+        this.updateChatHistoryControls();
         this.chatPanel.style.display = 'block';
         this.messageInput.focus();
     }
 
-    updateFileProgress(percent) {
-        const roundedPercent = Math.round(percent);
-        this.progressPercent.textContent = roundedPercent + '%';
-        this.progressFill.style.width = percent + '%';
-        
-        if (percent >= 100) {
-            this.progressFill.style.backgroundColor = '#22c55e';
-        }
-    }
-
     updateStatus(text, type = 'info') {
         this.statusText.textContent = text;
         this.statusIndicator.className = `status-indicator ${type}`;
@@ -746,8 +5569,292 @@ class SovereignShare {
         }
     }
 
-    terminateConnection() {
+    updateConnectedStatus() {
+        this.updateStatus(`Connected to ${this.partnerId} (${this.relay ? 'relayed' : 'direct'})`, 'connected');
+        this.statusIndicator.classList.toggle('relayed', Boolean(this.relay));
+    }
+
+    toggleDiagnostics() {
+        if (this.diagnosticsPanel.style.display === 'none') {
+            this.diagnosticsPanel.style.display = 'block';
+            this.refreshDiagnostics();
+        } else {
+            this.hideDiagnostics();
+        }
+    }
+
+    hideDiagnostics() {
+        clearTimeout(this.diagnosticsTimer);
+        this.diagnosticsTimer = null;
+        this.diagnosticsSamples.clear();
+        this.diagnosticsReport = null;
+        this.diagnosticsPanel.style.display = 'none';
+    }
+
+    async refreshDiagnostics() {
+        clearTimeout(this.diagnosticsTimer);
+        this.diagnosticsTimer = null;
+
+        try {
+            this.diagnosticsReport = await this.collectDiagnostics();
+            this.renderDiagnostics(this.diagnosticsReport);
+        } catch (error) {
+            console.error('Error collecting connection statistics:', error);
+        }
+
+        if (this.diagnosticsPanel.style.display !== 'none' && !this.diagnosticsTimer) {
+            this.diagnosticsTimer = setTimeout(() => this.refreshDiagnostics(), DIAGNOSTICS_INTERVAL);
+        }
+    }
+
+    getDiagnosticLinks() {
+        if (this.room) {
+            return Array.from(this.room.members.values()).map(member => ({
+                peerId: member.id,
+                peerConnection: member.peerConnection,
+                channel: member.dataChannel,
+                relayed: false
+            }));
+        }
+
+        if (!this.partnerId) {
+            return [];
+        }
+
+        return [{
+            peerId: this.partnerId,
+            peerConnection: this.peerConnection,
+            channel: this.dataChannel,
+            relayed: Boolean(this.relay)
+        }];
+    }
+
+    async collectDiagnostics() {
+        const links = this.getDiagnosticLinks();
+        const connections = await Promise.all(links.map(link => this.collectConnectionStats(link)));
+
+        Array.from(this.diagnosticsSamples.keys())
+            .filter(peerId => !links.some(link => link.peerId === peerId))
+            .forEach(peerId => this.diagnosticsSamples.delete(peerId));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            userId: this.userId,
+            room: this.room ? this.room.id : null,
+            userAgent: navigator.userAgent,
+            connections: connections
+        };
+    }
+
+    async collectConnectionStats(link) {
+        const connection = {
+            peerId: link.peerId,
+            route: link.relayed ? 'server' : null,
+            connectionState: link.peerConnection ? link.peerConnection.connectionState : (link.channel ? link.channel.readyState : 'new'),
+            iceGatheringState: link.peerConnection ? link.peerConnection.iceGatheringState : null,
+            candidatePair: null,
+            roundTripTime: null,
+            bytesSent: 0,
+            bytesReceived: 0,
+            sendRate: null,
+            receiveRate: null,
+            remainingToSend: 0,
+            remainingToReceive: 0,
+            sendEta: null,
+            receiveEta: null,
+            candidates: []
+        };
+
+        if (link.peerConnection) {
+            this.readConnectionStats(await link.peerConnection.getStats(), connection);
+        } else if (link.relayed && link.channel) {
+            connection.bytesSent = link.channel.bytesSent;
+            connection.bytesReceived = link.channel.bytesReceived;
+        }
+
+        const now = performance.now();
+        const previous = this.diagnosticsSamples.get(link.peerId);
+        const elapsed = previous ? (now - previous.time) / 1000 : 0;
+        if (elapsed > 0) {
+            connection.sendRate = Math.max(0, connection.bytesSent - previous.bytesSent) / elapsed;
+            connection.receiveRate = Math.max(0, connection.bytesReceived - previous.bytesReceived) / elapsed;
+        }
+        this.diagnosticsSamples.set(link.peerId, { time: now, bytesSent: connection.bytesSent, bytesReceived: connection.bytesReceived });
+
+        this.transferItems.forEach(item => {
+            if (item.drop || !['sending', 'receiving'].includes(item.status) || (this.room ? item.peerId !== link.peerId : item.peerId)) {
+                return;
+            }
+
+            const remaining = Math.round(item.size * (1 - item.progress / 100));
+            if (item.direction === 'outgoing') {
+                connection.remainingToSend += remaining;
+            } else {
+                connection.remainingToReceive += remaining;
+            }
+        });
+
+        if (connection.remainingToSend > 0 && connection.sendRate > 0) {
+            connection.sendEta = connection.remainingToSend / connection.sendRate;
+        }
+        if (connection.remainingToReceive > 0 && connection.receiveRate > 0) {
+            connection.receiveEta = connection.remainingToReceive / connection.receiveRate;
+        }
+
+        return connection;
+    }
+
+    readConnectionStats(report, connection) {
+        const stats = Array.from(report.values());
+        const transport = stats.find(stat => stat.type === 'transport' && stat.selectedCandidatePairId);
+        const pair = transport
+            ? report.get(transport.selectedCandidatePairId)
+            : stats.find(stat => stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded')));
+        const local = pair ? report.get(pair.localCandidateId) : null;
+        const remote = pair ? report.get(pair.remoteCandidateId) : null;
+        const counters = transport || pair;
+
+        if (counters) {
+            connection.bytesSent = counters.bytesSent || 0;
+            connection.bytesReceived = counters.bytesReceived || 0;
+        }
+
+        if (pair) {
+            connection.candidatePair = {
+                local: local ? local.candidateType : null,
+                remote: remote ? remote.candidateType : null,
+                protocol: local ? local.protocol : null,
+                state: pair.state
+            };
+            connection.route = [connection.candidatePair.local, connection.candidatePair.remote].includes('relay') ? 'turn' : 'direct';
+            if (typeof pair.currentRoundTripTime === 'number') {
+                connection.roundTripTime = Math.round(pair.currentRoundTripTime * 1000);
+            }
+        }
+
+        connection.candidates = stats
+            .filter(stat => stat.type === 'local-candidate' || stat.type === 'remote-candidate')
+            .map(stat => ({
+                side: stat.type === 'local-candidate' ? 'local' : 'remote',
+                type: stat.candidateType,
+                protocol: stat.protocol,
+                address: stat.address || stat.ip || null,
+                port: stat.port,
+                relayProtocol: stat.relayProtocol || null,
+                selected: Boolean(pair) && (stat.id === pair.localCandidateId || stat.id === pair.remoteCandidateId)
+            }));
+    }
+
+    renderDiagnostics(report) {
+        this.diagnosticsConnections.innerHTML = '';
+
+        if (report.connections.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'diagnostics-connection';
+            empty.textContent = 'Not connected to anyone.';
+            this.diagnosticsConnections.appendChild(empty);
+            return;
+        }
+
+        report.connections.forEach(connection => {
+            const section = document.createElement('div');
+            section.className = 'diagnostics-connection';
+
+            const stats = document.createElement('dl');
+            stats.className = 'diagnostics-stats';
+            [
+                ['Peer', connection.peerId],
+                ['State', connection.connectionState],
+                ['Route', this.describeRoute(connection)],
+                ['Round trip', connection.roundTripTime === null ? 'n/a' : `${connection.roundTripTime} ms`],
+                ['Sent', this.describeTraffic(connection.bytesSent, connection.sendRate)],
+                ['Received', this.describeTraffic(connection.bytesReceived, connection.receiveRate)],
+                ['Time left', this.describeEta(connection)]
+            ].forEach(([label, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const detail = document.createElement('dd');
+                detail.textContent = value;
+                stats.append(term, detail);
+            });
+            section.appendChild(stats);
+
+            if (connection.candidates.length > 0) {
+                const candidates = document.createElement('ul');
+                candidates.className = 'diagnostics-candidates';
+                connection.candidates.forEach(candidate => {
+                    const entry = document.createElement('li');
+                    entry.className = candidate.selected ? 'selected' : '';
+                    entry.textContent = [candidate.side, candidate.type, candidate.protocol, candidate.address ? `${candidate.address}:${candidate.port}` : '']
+                        .filter(Boolean)
+                        .join(' ');
+                    candidates.appendChild(entry);
+                });
+                section.appendChild(candidates);
+            }
+
+            this.diagnosticsConnections.appendChild(section);
+        });
+    }
+
+    describeRoute(connection) {
+        const pair = connection.candidatePair;
+
+        switch (connection.route) {
+            case 'server': return 'Relayed through the signaling server';
+            case 'turn': return `TURN relay (${pair.local} to ${pair.remote}, ${pair.protocol})`;
+            case 'direct': return `Direct (${pair.local} to ${pair.remote}, ${pair.protocol})`;
+            default: return 'Not established yet';
+        }
+    }
+
+    describeTraffic(bytes, rate) {
+        return rate === null ? this.formatBytes(bytes) : `${this.formatBytes(bytes)} (${this.formatBytes(rate)}/s)`;
+    }
+
+    describeEta(connection) {
+        const parts = [];
+
+        if (connection.remainingToSend > 0) {
+            parts.push(`${connection.sendEta === null ? 'unknown' : this.formatDuration(connection.sendEta)} to send`);
+        }
+        if (connection.remainingToReceive > 0) {
+            parts.push(`${connection.receiveEta === null ? 'unknown' : this.formatDuration(connection.receiveEta)} to receive`);
+        }
+
+        return parts.length > 0 ? parts.join(', ') : 'No active transfers';
+    }
+
+    formatDuration(seconds) {
+        const total = Math.ceil(seconds);
+
+        if (total < 60) {
+            return `${total} s`;
+        }
+        if (total < 3600) {
+            return `${Math.floor(total / 60)} min ${total % 60} s`;
+        }
+        return `${Math.floor(total / 3600)} h ${Math.floor(total % 3600 / 60)} min`;
+    }
+
+    async exportDiagnostics() {
+        try {
+            const report = this.diagnosticsReport || await this.collectDiagnostics();
+            const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+            this.saveBlob(blob, `sovereignshare-diagnostics-${report.generatedAt.replace(/[:.]/g, '-')}.json`);
+        } catch (error) {
+            console.error('Error exporting diagnostics:', error);
+            this.showNotification('Failed to export diagnostics', 'error');
+        }
+    }
+
+    async terminateConnection(notifyPeer = true) {
         this.clearConnectionTimeout();
+        if (notifyPeer) {
+            this.sendSignal('hangup', { reason: 'Disconnected' });
+        }
+        this.abandonTransfers();
+        await this.sendQueue;
         
         if (this.dataChannel) {
             this.dataChannel.close();
@@ -759,20 +5866,56 @@ class SovereignShare {
         this.handleDisconnection();
     }
 
+    abandonTransfers() {
+        const channelOpen = this.dataChannel && this.dataChannel.readyState === 'open';
+
+        this.outgoingTransfers.forEach(transfer => {
+            if (channelOpen && !transfer.suspended) {
+                this.sendControlMessage({ type: 'fileAbort', transferId: transfer.transferId, reason: 'Sender disconnected' });
+            }
+            transfer.cancelled = true;
+            this.failOutgoingTransfer(transfer, new Error('Connection closed'));
+            this.setItemStatus(transfer.item, 'cancelled');
+        });
+        this.outgoingTransfers.clear();
+
+        this.incomingTransfers.forEach(incoming => {
+            if (channelOpen) {
+                this.sendControlMessage({ type: 'fileAbort', transferId: incoming.info.transferId, reason: 'Receiver disconnected' });
+            }
+            this.clearRetransmitTimer(incoming);
+            this.clearIncomingPersistTimer(incoming);
+            this.deleteTransferRecord(this.getTransferKey(this.partnerId, incoming.info.transferId));
+            this.discardFileSink(incoming.sink);
+            this.setItemStatus(incoming.item, 'cancelled');
+        });
+        this.incomingTransfers.clear();
+    }
+
     handleDisconnection() {
+        this.suspendIncomingTransfers();
+        this.outgoingTransfers.forEach(transfer => this.suspendOutgoingTransfer(transfer));
+        
         this.isConnected = false;
         this.isInitiator = false;
+        this.isCalling = false;
         this.partnerId = null;
-        this.currentFile = null;
-        this.fileChunks = [];
-        this.fileInfo = null;
+        this.incomingTransfers.clear();
         this.pendingIceCandidates = [];
         this.pendingOffer = null;
+        this.secureSession = null;
+        this.sessionKeyPair = null;
+        clearTimeout(this.keyExchangeTimer);
+        this.keyExchangeTimer = null;
+        if (this.reconnect) {
+            clearTimeout(this.reconnect.timer);
+            this.reconnect = null;
+        }
         
         this.clearConnectionTimeout();
         this.resetConnectionState();
         this.hideChatPanel();
-        this.hideFileProgress();
+        this.hideSecurityInfo();
         this.updateStatus('Not connected');
         
         this.showNotification('Connection terminated', 'info');
@@ -783,21 +5926,27 @@ class SovereignShare {
         this.connectBtn.textContent = 'Connect';
         this.peerConnection = null;
         this.dataChannel = null;
+        if (this.relay) {
+            clearTimeout(this.relay.timer);
+            this.relay.channel.close();
+            this.relay = null;
+        }
+        this.makingOffer = false;
+        this.ignoreOffer = false;
+        this.negotiationPending = false;
         this.clearConnectionTimeout();
     }
 
     hideChatPanel() {
+        this.flushChatHistory();
+        this.stopTyping(false);
+        this.hideTypingIndicator();
         this.chatPanel.style.display = 'none';
         this.chatMessages.innerHTML = '';
-    }
-
-    hideFileProgress() {
-        this.fileProgress.style.display = 'none';
-        this.sendFileBtn.style.display = 'none';
-        this.downloadFileBtn.style.display = 'none';
-        this.fileName.textContent = '';
-        this.updateFileProgress(0);
-        this.progressFill.style.backgroundColor = '#3b82f6';
+        this.chatLog = [];
+        this.chatElements.clear();
+        this.chatPeerId = null;
+        this.unreadChatIds = [];
     }
 
     showShareModal() {
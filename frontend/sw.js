@@ -0,0 +1,101 @@
+const DOWNLOAD_PATH = '/downloads/';
+const STREAM_HIGH_WATER_MARK = 16;
+
+const downloads = new Map();
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    const port = event.ports[0];
+
+    if (data.type !== 'download' || !port || typeof data.id !== 'string') {
+        return;
+    }
+
+    downloads.set(data.id, createDownload(data, port));
+    port.postMessage({ type: 'ack' });
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    const index = url.pathname.indexOf(DOWNLOAD_PATH);
+
+    if (url.origin !== self.location.origin || index === -1) {
+        return;
+    }
+
+    const id = url.pathname.slice(index + DOWNLOAD_PATH.length).split('/')[0];
+    const download = downloads.get(id);
+
+    if (!download) {
+        event.respondWith(new Response('Download not found', { status: 404 }));
+        return;
+    }
+
+    downloads.delete(id);
+    event.respondWith(new Response(download.stream, { headers: download.headers }));
+});
+
+function createDownload(data, port) {
+    let pendingAck = false;
+    let controller = null;
+
+    const stream = new ReadableStream({
+        start(streamController) {
+            controller = streamController;
+        },
+        pull() {
+            if (pendingAck) {
+                pendingAck = false;
+                port.postMessage({ type: 'ack' });
+            }
+        },
+        cancel() {
+            port.postMessage({ type: 'cancel' });
+            port.close();
+        }
+    }, new CountQueuingStrategy({ highWaterMark: STREAM_HIGH_WATER_MARK }));
+
+    port.onmessage = (event) => {
+        const message = event.data;
+
+        switch (message.type) {
+            case 'chunk':
+                controller.enqueue(new Uint8Array(message.data));
+                if (controller.desiredSize > 0) {
+                    port.postMessage({ type: 'ack' });
+                } else {
+                    pendingAck = true;
+                }
+                break;
+            case 'close':
+                controller.close();
+                port.postMessage({ type: 'ack' });
+                port.close();
+                break;
+            case 'abort':
+                controller.error(new Error('Download aborted'));
+                port.close();
+                break;
+        }
+    };
+
+    const fileName = String(data.fileName || 'download');
+    const headers = {
+        'Content-Type': data.fileType || 'application/octet-stream',
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`
+    };
+
+    if (Number.isInteger(data.fileSize) && data.fileSize >= 0) {
+        headers['Content-Length'] = String(data.fileSize);
+    }
+
+    return { stream, headers };
+}